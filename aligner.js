@@ -6,9 +6,9 @@
 
 'use strict';
 
-const fs = require('fs');
 const path = require('path');
 
+const ioHandler = require('./ioHandler.js');
 const wavHandler = require('./wavHandler.js');
 const guanoHandler = require('./guanoHandler.js');
 const filenameHandler = require('./filenameHandler.js');
@@ -33,6 +33,8 @@ const HEADER_BUFFER_SIZE = 32 * 1024;
 
 const FILE_BUFFER_SIZE = 1024 * 1024;
 
+const NUMBER_OF_SAMPLES_IN_FILE_BUFFER = FILE_BUFFER_SIZE / NUMBER_OF_BYTES_IN_SAMPLE;
+
 /* Unit constants */
 
 const MILLIHERTZ_IN_HERTZ = 1000;
@@ -59,20 +61,8 @@ const SAMPLE_RATE_REGEX = /(\d\d\/\d\d\/\d{4} \d\d:\d\d:\d\d\.\d{3}) UTC: Actual
 
 const GPS_FIX_REGEX = /\d\d\/\d\d\/\d{4} \d\d:\d\d:\d\d\.\d{3} UTC: Received GPS fix - (\d+\.\d{6})°(N|S) (\d+\.\d{6})°(W|E)(?: \(.+\))? at (\d\d\/\d\d\/\d{4} \d\d:\d\d:\d\d\.\d{3}) UTC\./;
 
-/* GUNAO regex constants */
-
-const GUANO_LOCATION_REGEX_2 = /Loc Position:(\-?\d{1,2}\.\d{2}) (\-?\d{1,3}\.\d{2})/;
-
-const GUANO_LOCATION_REGEX_6 = /Loc Position:(\-?\d{1,2}\.\d{6}) (\-?\d{1,3}\.\d{6})/;
-
-const GUANO_TEMPERATURE_REGEX = /Temperature Int:(\-?\d+\.\d)/;
-
-const GUANO_VOLTAGE_REGEX = /OAD\|Battery Voltage:(\d\.\d)/;
-
 /* Header regex constants */
 
-const HEADER_TIMEZONE_REGEX = /\(UTC([-|+]\d+)?:?(\d\d)?\)/;
-
 const BATTERY_GREATER_THAN_REGEX = /greater than 4.9V/;
 
 const BATTERY_LESS_THAN_REGEX = /less than 2.5V/;
@@ -91,14 +81,6 @@ const MAXIMUM_SAMPLE_RATE_ERROR_FROM_WAV_FILE = 100 * MILLIHERTZ_IN_HERTZ;
 
 const MAXIMUM_SAMPLE_RATE_DIVERGENCE_RATIO_FROM_MEDIAN = 400 / 48000000;
 
-/* Buffers for reading data */
-
-const guanoBuffer = Buffer.alloc(GUANO_BUFFER_SIZE);
-
-const headerBuffer = Buffer.alloc(HEADER_BUFFER_SIZE);
-
-const fileBuffer = Buffer.alloc(FILE_BUFFER_SIZE);
-
 /* Summary constants */
 
 const HEADER = 'Timestamp,Event,Latitude,Longitude,Time Offset (ms),Start Sample Rate (Hz),End Sample Rate (Hz),Sample Rate Calculation,Filename,Samples,Duration (s),Temperature (C),Battery Voltage (V),Comment\r\n';
@@ -141,44 +123,6 @@ function resultsSorter (a, b) {
 
 }
 
-/* Function to parse date string in file header */
-
-function parseHeaderTimezone (comment) {
-
-    let offset = null;
-
-    const match = comment.match(HEADER_TIMEZONE_REGEX);
-
-    if (match) {
-
-        offset = 0;
-
-        if (match[1]) {
-
-            const negative = match[1].includes('-');
-
-            const hours = parseInt(match[1], 10);
-
-            offset = hours * MINUTES_IN_HOUR * SECONDS_IN_MINUTE * MILLISECONDS_IN_SECOND;
-
-            if (match[2]) {
-
-                let minutes = parseInt(match[2], 10);
-
-                if (negative) minutes *= -1;
-
-                offset += minutes * SECONDS_IN_MINUTE * MILLISECONDS_IN_SECOND;
-
-            }
-
-        }
-
-    }
-
-    return offset;
-
-}
-
 /* Functions to parse and format timestamps */
 
 function parseTimestamp (dateString) {
@@ -347,7 +291,7 @@ function processLine(line) {
 
 /* Initialise by parsing the GPS.TXT file from the standard firmware */
 
-function initialise (inputPath) {
+function * initialiseOperation (inputPath) {
 
     /* Open input GPS.TXT file */
 
@@ -355,12 +299,13 @@ function initialise (inputPath) {
 
     try {
 
-        fi = fs.openSync(inputPath, 'r');
+        fi = yield ioHandler.open(inputPath, 'r');
 
     } catch (e) {
 
         return {
             success: false,
+            code: 'E_GPS_OPEN',
             error: 'Could not open the GPS.TXT file.'
         };
 
@@ -370,12 +315,13 @@ function initialise (inputPath) {
 
     try {
 
-        fileSize = fs.statSync(inputPath).size;
+        fileSize = (yield ioHandler.stat(inputPath)).size;
 
     } catch (e) {
 
         return {
             success: false,
+            code: 'E_GPS_SIZE_READ',
             error: 'Could not read the GPS.TXT file size.'
         };
 
@@ -385,6 +331,7 @@ function initialise (inputPath) {
 
         return {
             success: false,
+            code: 'E_GPS_EMPTY',
             error: 'The GPS.TXT file has zero size.'
         };
 
@@ -398,6 +345,8 @@ function initialise (inputPath) {
 
     /* Read each line */
 
+    const fileBuffer = Buffer.alloc(FILE_BUFFER_SIZE);
+
     try {
 
         let buffer = '';
@@ -408,7 +357,7 @@ function initialise (inputPath) {
 
             const numberOfBytes = Math.min(FILE_BUFFER_SIZE, fileSize - numberOfBytesRead);
 
-            fs.readSync(fi, fileBuffer, 0, numberOfBytes, null);
+            yield ioHandler.read(fi, fileBuffer, 0, numberOfBytes, null);
 
             const newLines = buffer.concat(fileBuffer.slice(0, numberOfBytes)).toString().split(/\r?\n/);
 
@@ -430,17 +379,21 @@ function initialise (inputPath) {
 
         return {
             success: false,
+            code: 'E_GPS_PARSE',
             error: 'Something went wrong parsing the GPS.TXT file.'
         };
 
     }
 
+    yield ioHandler.close(fi);
+
     /* Check sufficient fixes */
 
     if (fixes.length < 2) {
 
         return {
             success: false,
+            code: 'E_GPS_INSUFFICIENT_FIXES',
             error: 'Insufficient fixes within the GPS.TXT file to estimate clock drift.'
         };
 
@@ -477,7 +430,7 @@ function initialise (inputPath) {
 
 /* Finalise by writing the GPS.CVS file */
 
-function finalise (outputPath) {
+function * finaliseOperation (outputPath) {
 
     /* Sort the recordings */
 
@@ -489,10 +442,11 @@ function finalise (outputPath) {
 
         /* Check the output path */
 
-        if (fs.lstatSync(outputPath).isDirectory() === false) {
+        if ((yield ioHandler.lstat(outputPath)).isDirectory() === false) {
 
             return {
                 success: false,
+                code: 'E_DESTINATION_NOT_DIRECTORY',
                 error: 'Destination path for GPS.CSV is not a directory.'
             };
 
@@ -500,9 +454,9 @@ function finalise (outputPath) {
 
         /* Write the output file */
 
-        const fo = fs.openSync(path.join(outputPath, 'GPS.CSV'), 'w');
+        const fo = yield ioHandler.open(path.join(outputPath, 'GPS.CSV'), 'w');
 
-        fs.writeSync(fo, HEADER);
+        yield ioHandler.write(fo, HEADER);
 
         let fixIndex = 0;
         let recordingIndex = 0;
@@ -523,7 +477,7 @@ function finalise (outputPath) {
 
             line += Math.floor(currrentFix.sampleRate / MILLIHERTZ_IN_HERTZ) + '.' + digits(currrentFix.sampleRate % MILLIHERTZ_IN_HERTZ, 3) + ',,,,,,,\r\n';
 
-            fs.writeSync(fo, line);
+            yield ioHandler.write(fo, line);
 
             /* Check next recording */
 
@@ -569,7 +523,7 @@ function finalise (outputPath) {
                 
                 line += (currentRecording.comment ? currentRecording.comment : '') + '\r\n';
     
-                fs.writeSync(fo, line);
+                yield ioHandler.write(fo, line);
 
                 /* Increment counter */
 
@@ -583,12 +537,13 @@ function finalise (outputPath) {
 
         }
 
-        fs.closeSync(fo);
+        yield ioHandler.close(fo);
 
     } catch (e) {
 
         return {
             success: false,
+            code: 'E_OUTPUT_WRITE',
             error: 'An error occurred while writing the GPS.CSV  file.'
         };
 
@@ -605,7 +560,7 @@ function finalise (outputPath) {
 
 /* Align a WAV file from the standard firmware */
 
-function align (inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, callback) {
+function * alignOperation (inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, callback, options) {
 
     /* Check prefix parameter */
 
@@ -615,11 +570,22 @@ function align (inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, cal
 
         return {
             success: false,
+            code: 'E_PREFIX_INVALID',
             error: 'Filename prefix must be a string.'
         };
 
     }
 
+    if (options.template !== undefined && filenameHandler.checkTemplate(options.template) === false) {
+
+        return {
+            success: false,
+            code: 'E_TEMPLATE_INVALID',
+            error: 'Filename template is not valid.'
+        };
+
+    }
+
     /* Check processOutsideFiles parameter */
 
     onlyProcessFilesBetweenFixes = typeof onlyProcessFilesBetweenFixes === 'boolean' ? onlyProcessFilesBetweenFixes : true;
@@ -630,12 +596,13 @@ function align (inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, cal
 
     try {
 
-        fi = fs.openSync(inputPath, 'r');
+        fi = yield ioHandler.open(inputPath, 'r');
 
     } catch (e) {
 
         return {
             success: false,
+            code: 'E_INPUT_OPEN',
             error: 'Could not open input WAV file.'
         };
 
@@ -645,10 +612,11 @@ function align (inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, cal
 
     outputPath = outputPath || path.parse(inputPath).dir;
 
-    if (fs.lstatSync(outputPath).isDirectory() === false) {
+    if ((yield ioHandler.lstat(outputPath)).isDirectory() === false) {
 
         return {
             success: false,
+            code: 'E_DESTINATION_NOT_DIRECTORY',
             error: 'Destination path is not a directory.'
         };
 
@@ -660,12 +628,13 @@ function align (inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, cal
 
     try {
 
-        fileSize = fs.statSync(inputPath).size;
+        fileSize = (yield ioHandler.stat(inputPath)).size;
 
     } catch (e) {
 
         return {
             success: false,
+            code: 'E_INPUT_SIZE_READ',
             error: 'Could not read input WAV file size.'
         };
 
@@ -675,6 +644,7 @@ function align (inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, cal
 
         return {
             success: false,
+            code: 'E_INPUT_EMPTY',
             error: 'Input WAV file has zero size.'
         };
 
@@ -682,14 +652,17 @@ function align (inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, cal
 
     /* Read the WAV file header */
 
+    const headerBuffer = Buffer.alloc(HEADER_BUFFER_SIZE);
+
     try {
 
-        fs.readSync(fi, headerBuffer, 0, HEADER_BUFFER_SIZE, 0);
+        yield ioHandler.read(fi, headerBuffer, 0, HEADER_BUFFER_SIZE, 0);
 
     } catch (e) {
 
         return {
             success: false,
+            code: 'E_HEADER_READ',
             error: 'Could not read the input WAV file header.'
         };
 
@@ -705,6 +678,12 @@ function align (inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, cal
 
     const header = headerCheck.header;
 
+    /* Check the WAV format is the 16-bit mono PCM recorded by AudioMoth */
+
+    const formatCheck = wavHandler.checkAudioMothFormat(header);
+
+    if (formatCheck.success === false) return formatCheck;
+
     const comment = header.icmt.comment;
 
     /* Check the filename against header */
@@ -719,17 +698,20 @@ function align (inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, cal
 
     const localTimestamp = filenameCheck.originalTimestamp;
 
-    const timezoneOffset = parseHeaderTimezone(comment);
+    const headerTimezoneOffset = filenameHandler.getHeaderTimezoneOffset(comment);
 
-    if (timezoneOffset === null) {
+    if (headerTimezoneOffset === null) {
 
         return {
             success: false,
+            code: 'E_HEADER_TIMEZONE_MISSING',
             error: 'Cannot find timezone in the input WAV file header.'
         };
 
     }
 
+    const timezoneOffset = headerTimezoneOffset * SECONDS_IN_MINUTE * MILLISECONDS_IN_SECOND;
+
     const timestamp = localTimestamp - timezoneOffset;
 
     /* Calculate sample rate and duration */
@@ -768,61 +750,47 @@ function align (inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, cal
 
     let longitude = null;
 
-    if (header.data.size + header.size < fileSize) {
+    if (header.data.size + header.size < fileSize || header.guano) {
 
         const numberOfBytes = Math.min(fileSize - header.size - header.data.size, GUANO_BUFFER_SIZE);
 
+        const guanoBuffer = Buffer.alloc(GUANO_BUFFER_SIZE);
+
         try {
 
             /* Read end of file into the buffer */
 
-            const numberOfBytesRead = fs.readSync(fi, guanoBuffer, 0, numberOfBytes, header.data.size + header.size);
+            const numberOfBytesRead = yield ioHandler.read(fi, guanoBuffer, 0, numberOfBytes, header.data.size + header.size);
 
             if (numberOfBytesRead === numberOfBytes) {
 
-                /* Parse the GUANO header */
-
-                const guanoCheck = guanoHandler.readGuano(guanoBuffer, numberOfBytes);
+                /* Find the GUANO among the chunks which follow the data */
 
-                if (guanoCheck.success) {
+                const trailer = wavHandler.readTrailer(header, guanoBuffer, numberOfBytes);
 
-                    guano = guanoCheck.guano;
-
-                    /* Read latitude and longitude */
+                if (trailer.guano) {
 
-                    const contents = guano.contents;
+                    guano = trailer.guano;
 
-                    let locationMatch = contents.match(GUANO_LOCATION_REGEX_2);
+                    const fields = guanoHandler.parseGuano(guano.contents);
 
-                    if (locationMatch) {
-
-                        latitude = locationMatch[1];
-
-                        longitude = locationMatch[2];
-
-                    } else {
-
-                        locationMatch = contents.match(GUANO_LOCATION_REGEX_6);
+                    /* Read latitude and longitude */
 
-                        if (locationMatch) {
+                    const position = fields['Loc Position'];
 
-                            latitude = locationMatch[1];
+                    if (position && typeof position.latitude === 'number') {
 
-                            longitude = locationMatch[2];
+                        latitude = String(position.latitude);
 
-                        }
+                        longitude = String(position.longitude);
 
                     }
 
                     /* Read additional fields */
 
-                    const temperatureMatch = contents.match(GUANO_TEMPERATURE_REGEX);
-
-                    const guanoTemperature = temperatureMatch ? temperatureMatch[1] : null;
-
-                    const voltageMatch = contents.match(GUANO_VOLTAGE_REGEX);
+                    const guanoTemperature = typeof fields['Temperature Int'] === 'number' ? fields['Temperature Int'].toFixed(1) : null;
 
-                    const guanoVoltage = voltageMatch ? voltageMatch[1] : null;
+                    const guanoVoltage = typeof fields['OAD|Battery Voltage'] === 'number' ? fields['OAD|Battery Voltage'].toFixed(1) : null;
 
                     /* No exceptions so copy across GUANO data */
 
@@ -862,6 +830,7 @@ function align (inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, cal
     
         return {
             success: false,
+            code: 'E_RECORDING_BEFORE_FIRST_FIX',
             error: 'Recording is before first GPS fix. No correction possible.'
         };
 
@@ -871,6 +840,7 @@ function align (inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, cal
 
             return {
                 success: false,
+                code: 'E_RECORDING_AFTER_LAST_FIX',
                 error: 'Recording is after last GPS fix.'
             };
 
@@ -934,6 +904,7 @@ function align (inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, cal
 
             return {
                 success: false,
+                code: 'E_RECORDING_AT_GPS_FIX',
                 error: 'Recording has the same time as a GPS fix.'
             };
     
@@ -997,6 +968,7 @@ function align (inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, cal
 
         return {
             success: false,
+            code: 'E_SAMPLE_RATE_MISMATCH',
             error: 'Sample rate does not match expected sample rate.'
         };
 
@@ -1030,25 +1002,45 @@ function align (inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, cal
 
     const syncOutputBuffer = Buffer.alloc(FILE_BUFFER_SIZE);
 
-    /* Generate output filename */
+    /* Generate output filename, from the template if one is given */
 
-    const outputFilename = (prefix === '' ? '' : prefix + '_') + inputFilename.replace('.WAV', '_SYNC.WAV');
+    const templateValues = {
+        timestamp: localTimestamp,
+        prefix: prefix,
+        deviceID: header.iart.artist,
+        timezoneOffset: filenameCheck.timezoneOffset,
+        type: filenameHandler.SYNC,
+        index: 1,
+        name: path.parse(inputPath).name
+    };
+
+    const outputFilename = options.template ? filenameHandler.formatTemplate(options.template, templateValues) : (prefix === '' ? '' : prefix + '_') + inputFilename.replace('.WAV', '_SYNC.WAV');
+
+    if (path.resolve(outputPath, outputFilename) === path.resolve(inputPath)) {
+
+        return {
+            success: false,
+            code: 'E_OUTPUT_IS_INPUT',
+            error: 'Aligned file would overwrite the input file.'
+        };
+
+    }
 
     /* Open the output file and write the header */
 
-    const fo = fs.openSync(path.join(outputPath, outputFilename), 'w');
+    const fo = yield ioHandler.open(path.join(outputPath, outputFilename), 'w');
 
-    fs.writeSync(fo, headerBuffer, 0, header.size, null);
+    yield ioHandler.write(fo, headerBuffer, 0, wavHandler.getHeaderSize(header), null);
 
     /* Reset the input file to end of header */
 
-    fs.readSync(fi, headerBuffer, 0, header.size, null);
+    yield ioHandler.read(fi, headerBuffer, 0, header.size, null);
 
     /* Read the first file buffer */
 
-    fs.readSync(fi, syncInputBuffer, 0, FILE_BUFFER_SIZE, null);
+    yield ioHandler.read(fi, syncInputBuffer, 0, FILE_BUFFER_SIZE, null);
 
-    /* Function to read sample values */
+    /* Functions to read sample value and refill the input buffer when it is empty */
 
     function readSampleValue () {
 
@@ -1058,19 +1050,19 @@ function align (inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, cal
 
         inputBufferIndex += 1;
 
-        if (inputBufferIndex === FILE_BUFFER_SIZE / NUMBER_OF_BYTES_IN_SAMPLE) {
+        return sampleValue;
 
-            fs.readSync(fi, syncInputBuffer, 0, FILE_BUFFER_SIZE, null);
+    }
 
-            inputBufferIndex = 0;
+    function * refillInputBuffer () {
 
-        }
+        yield ioHandler.read(fi, syncInputBuffer, 0, FILE_BUFFER_SIZE, null);
 
-        return sampleValue;
+        inputBufferIndex = 0;
 
     }
 
-    /* Function to write sample value */
+    /* Functions to write sample value and flush the output buffer when it is full */
 
     function writeSampleValue (value) {
 
@@ -1080,13 +1072,13 @@ function align (inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, cal
 
         outputBufferIndex += 1;
 
-        if (outputBufferIndex === FILE_BUFFER_SIZE / NUMBER_OF_BYTES_IN_SAMPLE) {
+    }
 
-            fs.writeSync(fo, syncOutputBuffer, 0, FILE_BUFFER_SIZE, null);
+    function * flushOutputBuffer () {
 
-            outputBufferIndex = 0;
+        yield ioHandler.write(fo, syncOutputBuffer, 0, FILE_BUFFER_SIZE, null);
 
-        }
+        outputBufferIndex = 0;
 
     }
 
@@ -1108,7 +1100,15 @@ function align (inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, cal
 
     /* Read first sample */
 
-    let sampleValue = numberOfSamplesToRead > 0 ? readSampleValue() : 0;
+    let sampleValue = 0;
+
+    if (numberOfSamplesToRead > 0) {
+
+        sampleValue = readSampleValue();
+
+        if (inputBufferIndex === NUMBER_OF_SAMPLES_IN_FILE_BUFFER) yield * refillInputBuffer();
+
+    }
 
     /* Correct for the time offset */
 
@@ -1118,7 +1118,13 @@ function align (inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, cal
 
         const numberOfSamples = Math.round(-timeOffset / TIME_OFFSET_MULTIPLIER / MILLISECONDS_IN_SECOND * sampleRateStart / MILLIHERTZ_IN_HERTZ); 
 
-        while (numberOfSamplesRead < numberOfSamples && numberOfSamplesRead < numberOfSamplesToRead) sampleValue = readSampleValue();
+        while (numberOfSamplesRead < numberOfSamples && numberOfSamplesRead < numberOfSamplesToRead) {
+
+            sampleValue = readSampleValue();
+
+            if (inputBufferIndex === NUMBER_OF_SAMPLES_IN_FILE_BUFFER) yield * refillInputBuffer();
+
+        }
 
     } else if (timeOffset > 0) {
 
@@ -1126,7 +1132,13 @@ function align (inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, cal
 
         const numberOfSamples = Math.round(timeOffset / TIME_OFFSET_MULTIPLIER / MILLISECONDS_IN_SECOND * sampleRate); 
 
-        while (numberOfSamplesWritten < numberOfSamples && numberOfSamplesWritten < numberOfSamplesToWrite) writeSampleValue(sampleValue); 
+        while (numberOfSamplesWritten < numberOfSamples && numberOfSamplesWritten < numberOfSamplesToWrite) {
+
+            writeSampleValue(sampleValue);
+
+            if (outputBufferIndex === NUMBER_OF_SAMPLES_IN_FILE_BUFFER) yield * flushOutputBuffer();
+
+        }
 
     }
 
@@ -1160,7 +1172,13 @@ function align (inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, cal
 
                 previousSampleValue = sampleValue;
 
-                if (numberOfSamplesRead < numberOfSamplesToRead) sampleValue = readSampleValue();
+                if (numberOfSamplesRead < numberOfSamplesToRead) {
+
+                    sampleValue = readSampleValue();
+
+                    if (inputBufferIndex === NUMBER_OF_SAMPLES_IN_FILE_BUFFER) yield * refillInputBuffer();
+
+                }
 
                 inputOffset += inputOffsetStep;
 
@@ -1172,7 +1190,9 @@ function align (inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, cal
 
             if (inputOffset === previousInputOffset) interpolatedSampleValue = previousSampleValue;
 
-            writeSampleValue(interpolatedSampleValue);     
+            writeSampleValue(interpolatedSampleValue);
+
+            if (outputBufferIndex === NUMBER_OF_SAMPLES_IN_FILE_BUFFER) yield * flushOutputBuffer();
             
             /* Increment output offset and counter */
 
@@ -1204,7 +1224,7 @@ function align (inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, cal
 
     if (outputBufferIndex > 0) {
 
-        fs.writeSync(fo, syncOutputBuffer, 0, outputBufferIndex * NUMBER_OF_BYTES_IN_SAMPLE, null);
+        yield ioHandler.write(fo, syncOutputBuffer, 0, outputBufferIndex * NUMBER_OF_BYTES_IN_SAMPLE, null);
 
     }
 
@@ -1214,7 +1234,7 @@ function align (inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, cal
 
         guanoHandler.writeGuano(syncOutputBuffer, guano);
 
-        fs.writeSync(fo, syncOutputBuffer, 0, guano.size, null);
+        yield ioHandler.write(fo, syncOutputBuffer, 0, guano.size, null);
 
     }
 
@@ -1224,9 +1244,9 @@ function align (inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, cal
 
     /* Close both files */
 
-    fs.closeSync(fi);
+    yield ioHandler.close(fi);
 
-    fs.closeSync(fo);
+    yield ioHandler.close(fo);
 
     /* Return success */
 
@@ -1237,8 +1257,49 @@ function align (inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, cal
 
 }
 
+/* Run initialise, align and finalise synchronously or asynchronously. The align options may include an AbortSignal to cancel the operation */
+
+function initialise (inputPath) {
+
+    return ioHandler.runSync(initialiseOperation(inputPath));
+
+}
+
+function initialiseAsync (inputPath) {
+
+    return ioHandler.runAsync(initialiseOperation(inputPath));
+
+}
+
+function align (inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, callback, options) {
+
+    return ioHandler.runSync(alignOperation(inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, callback, options || {}), options && options.signal);
+
+}
+
+function alignAsync (inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, callback, options) {
+
+    return ioHandler.runAsync(alignOperation(inputPath, outputPath, prefix, onlyProcessFilesBetweenFixes, callback, options || {}), options && options.signal);
+
+}
+
+function finalise (outputPath) {
+
+    return ioHandler.runSync(finaliseOperation(outputPath));
+
+}
+
+function finaliseAsync (outputPath) {
+
+    return ioHandler.runAsync(finaliseOperation(outputPath));
+
+}
+
 /* Exports */
 
 exports.initialise = initialise;
+exports.initialiseAsync = initialiseAsync;
 exports.align = align;
-exports.finalise = finalise;
\ No newline at end of file
+exports.alignAsync = alignAsync;
+exports.finalise = finalise;
+exports.finaliseAsync = finaliseAsync;
\ No newline at end of file
@@ -6,31 +6,83 @@
 
 const filenameHandler = require('./filenameHandler.js');
 const downsampler = require('./downsampler.js');
+const filterer = require('./filterer.js');
+const leveller = require('./leveller.js');
+const merger = require('./merger.js');
 const summariser = require('./summariser.js');
 const expander = require('./expander.js');
 const splitter = require('./splitter.js');
 const aligner = require('./aligner.js');
 const syncer = require('./syncer.js');
+const batcher = require('./batcher.js');
+const repairer = require('./repairer.js');
+const guanoEditor = require('./guanoEditor.js');
+const guanoValidator = require('./guanoValidator.js');
+const errorCodes = require('./errorCodes.js');
+const guanoHandler = require('./guanoHandler.js');
+const csvReader = require('./csvReader.js');
 
 exports.downsample = downsampler.downsample;
+exports.downsampleAsync = downsampler.downsampleAsync;
+exports.resample = downsampler.resample;
+exports.resampleAsync = downsampler.resampleAsync;
+
+exports.filter = filterer.filter;
+exports.filterAsync = filterer.filterAsync;
+
+exports.level = leveller.level;
+exports.levelAsync = leveller.levelAsync;
+
+exports.merge = merger.merge;
+exports.mergeAsync = merger.mergeAsync;
 
 exports.summariser = {};
 exports.summariser.initialise = summariser.initialise;
 exports.summariser.summarise = summariser.summarise;
+exports.summariser.summariseAsync = summariser.summariseAsync;
 exports.summariser.finalise = summariser.finalise;
+exports.summariser.finaliseAsync = summariser.finaliseAsync;
 
 exports.expand = expander.expand;
+exports.expandAsync = expander.expandAsync;
 exports.split = splitter.split;
+exports.splitAsync = splitter.splitAsync;
+exports.splitRanges = splitter.splitRanges;
+exports.splitRangesAsync = splitter.splitRangesAsync;
 
 exports.aligner = {}
 exports.aligner.initialise = aligner.initialise;
+exports.aligner.initialiseAsync = aligner.initialiseAsync;
 exports.aligner.align = aligner.align;
+exports.aligner.alignAsync = aligner.alignAsync;
 exports.aligner.finalise = aligner.finalise;
+exports.aligner.finaliseAsync = aligner.finaliseAsync;
 
 exports.sync = syncer.sync;
+exports.syncAsync = syncer.syncAsync;
+
+exports.repair = repairer.repair;
+exports.repairAsync = repairer.repairAsync;
+
+exports.batch = batcher.batch;
+exports.batchAsync = batcher.batchAsync;
+
+exports.parseGuano = guanoHandler.parseGuano;
+exports.serialiseGuano = guanoHandler.serialiseGuano;
+exports.editGuano = guanoEditor.editGuano;
+exports.editGuanoAsync = guanoEditor.editGuanoAsync;
+exports.validateGuano = guanoValidator.validateGuano;
+exports.validateGuanoAsync = guanoValidator.validateGuanoAsync;
+
+exports.readCSVRows = csvReader.readRows;
+exports.readCSVRowsAsync = csvReader.readRowsAsync;
 
 exports.getFilenameRegex = filenameHandler.getFilenameRegex;
+exports.parseFilename = filenameHandler.parseFilename;
+exports.formatFilename = filenameHandler.formatFilename;
 exports.SPLIT = filenameHandler.SPLIT;
 exports.DOWNSAMPLE = filenameHandler.DOWNSAMPLE;
 exports.EXPAND = filenameHandler.EXPAND;
 exports.SYNC = filenameHandler.SYNC;
+
+exports.ERROR_CODES = errorCodes.ERROR_CODES;
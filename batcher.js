@@ -0,0 +1,256 @@
+/****************************************************************************
+ * batcher.js
+ * openacousticdevices.info
+ * October 2026
+ *****************************************************************************/
+
+'use strict';
+
+const path = require('path');
+
+const ioHandler = require('./ioHandler.js');
+const filenameHandler = require('./filenameHandler.js');
+
+/* Sort directory entries by name so files are processed in a consistent order */
+
+function compareEntries (a, b) {
+
+    if (a.name < b.name) return -1;
+
+    if (a.name > b.name) return 1;
+
+    return 0;
+
+}
+
+/* Walk the folder tree collecting files which match the regex. The output folder is skipped in case it sits inside the input folder */
+
+function * findFiles (folderPath, regex, excludedPath, filePaths) {
+
+    const entries = (yield ioHandler.readdir(folderPath)).sort(compareEntries);
+
+    for (let i = 0; i < entries.length; i += 1) {
+
+        const entryPath = path.join(folderPath, entries[i].name);
+
+        if (entries[i].isDirectory()) {
+
+            if (path.resolve(entryPath) !== excludedPath) yield * findFiles(entryPath, regex, excludedPath, filePaths);
+
+        } else if (entries[i].isFile() && regex.test(entries[i].name)) {
+
+            filePaths.push(entryPath);
+
+        }
+
+    }
+
+}
+
+/* Run an operation on every matching file in a folder tree */
+
+function * batchOperation (type, folderPath, outputPath, operation, callback, options) {
+
+    /* Check parameters */
+
+    const regex = filenameHandler.getFilenameRegex(type);
+
+    if (regex === undefined) {
+
+        return {
+            success: false,
+            code: 'E_OPERATION_TYPE_INVALID',
+            error: 'Operation type is not valid.'
+        };
+
+    }
+
+    if (typeof operation !== 'function') {
+
+        return {
+            success: false,
+            code: 'E_OPERATION_INVALID',
+            error: 'Operation must be a function.'
+        };
+
+    }
+
+    try {
+
+        if ((yield ioHandler.lstat(folderPath)).isDirectory() === false) {
+
+            return {
+                success: false,
+                code: 'E_INPUT_NOT_DIRECTORY',
+                error: 'Input path is not a directory.'
+            };
+
+        }
+
+    } catch (e) {
+
+        return {
+            success: false,
+            code: 'E_INPUT_FOLDER_NOT_FOUND',
+            error: 'Could not find input folder.'
+        };
+
+    }
+
+    /* Find the input files */
+
+    const filePaths = [];
+
+    try {
+
+        yield * findFiles(folderPath, regex, outputPath ? path.resolve(outputPath) : null, filePaths);
+
+    } catch (e) {
+
+        return {
+            success: false,
+            code: 'E_INPUT_FOLDER_READ',
+            error: 'Could not read input folder.'
+        };
+
+    }
+
+    /* Process each file, recreating the sub-folder structure under the output path */
+
+    const results = [];
+
+    let numberOfFailures = 0;
+
+    for (let i = 0; i < filePaths.length; i += 1) {
+
+        const inputPath = filePaths[i];
+
+        const folder = path.relative(folderPath, path.dirname(inputPath));
+
+        const fileCallback = function (progress) {
+
+            if (callback) callback(Math.round((i * 100 + progress) / filePaths.length));
+
+        };
+
+        let destinationPath = outputPath ? path.join(outputPath, folder) : path.dirname(inputPath);
+
+        let result;
+
+        try {
+
+            if (outputPath) yield ioHandler.mkdir(destinationPath);
+
+        } catch (e) {
+
+            result = {
+                success: false,
+                code: 'E_OUTPUT_FOLDER_CREATE',
+                error: 'Could not create output folder.'
+            };
+
+        }
+
+        if (result === undefined) {
+
+            try {
+
+                result = yield ioHandler.call(operation, [inputPath, destinationPath, fileCallback, options]);
+
+            } catch (e) {
+
+                result = {
+                    success: false,
+                    code: 'E_OPERATION_FAILED',
+                    error: e.message
+                };
+
+            }
+
+            /* A synchronous batch cannot wait for an asynchronous operation, so stop rather than report the files as processed */
+
+            if (result !== null && typeof result === 'object' && typeof result.then === 'function') {
+
+                result.then(null, function () {});
+
+                return {
+                    success: false,
+                    code: 'E_ARGUMENTS_INVALID',
+                    error: 'Operation returned a promise. Use batchAsync with asynchronous operations.'
+                };
+
+            }
+
+            if (result === null || typeof result !== 'object' || typeof result.success !== 'boolean') {
+
+                result = {
+                    success: false,
+                    code: 'E_OPERATION_FAILED',
+                    error: 'Operation did not return a result with a success flag.'
+                };
+
+            }
+
+        }
+
+        if (result.success === false) {
+
+            numberOfFailures += 1;
+
+            destinationPath = null;
+
+        }
+
+        const fileResult = {
+            inputPath: inputPath,
+            outputPath: destinationPath,
+            folder: folder,
+            success: result.success,
+            code: result.success ? null : result.code,
+            error: result.success ? null : result.error
+        };
+
+        /* Keep any other fields returned by the operation, such as the audio recovered by repair */
+
+        const keys = Object.keys(result);
+
+        for (let j = 0; j < keys.length; j += 1) {
+
+            if (fileResult[keys[j]] === undefined) fileResult[keys[j]] = result[keys[j]];
+
+        }
+
+        results.push(fileResult);
+
+        fileCallback(100);
+
+    }
+
+    /* Return the report */
+
+    return {
+        success: true,
+        error: null,
+        numberOfFiles: filePaths.length,
+        numberOfFailures: numberOfFailures,
+        results: results
+    };
+
+}
+
+function batch (type, folderPath, outputPath, operation, callback, options) {
+
+    return ioHandler.runSync(batchOperation(type, folderPath, outputPath, operation, callback, options), options && options.signal);
+
+}
+
+function batchAsync (type, folderPath, outputPath, operation, callback, options) {
+
+    return ioHandler.runAsync(batchOperation(type, folderPath, outputPath, operation, callback, options), options && options.signal);
+
+}
+
+/* Exports */
+
+exports.batch = batch;
+exports.batchAsync = batchAsync;
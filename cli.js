@@ -0,0 +1,629 @@
+#!/usr/bin/env node
+/****************************************************************************
+ * cli.js
+ * openacousticdevices.info
+ * October 2026
+ *****************************************************************************/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const audiomothUtils = require('./audiomoth-utils.js');
+
+/* Exit codes */
+
+const EXIT_SUCCESS = 0;
+
+const EXIT_FAILURE = 1;
+
+const EXIT_USAGE = 2;
+
+const EXIT_INTERRUPTED = 130;
+
+/* Glob constants */
+
+const WILDCARD_REGEX = /[*?]/;
+
+/* Command definitions. Each option maps to a parameter of the corresponding function */
+
+const COMMANDS = {
+
+    expand: {
+        usage: 'expand <inputs...> [--output <folder>] [--prefix <prefix>] [--template <template>] [--timezone <zone>] [--type DURATION|EVENT] [--duration <seconds>] [--silent] [--align]',
+        options: {output: 'string', prefix: 'string', template: 'string', timezone: 'string', type: 'string', duration: 'number', silent: 'boolean', align: 'boolean'},
+        run: function (inputPath, options, callback, signal) {
+
+            return audiomothUtils.expandAsync(inputPath, options.output, options.prefix, options.type || 'DURATION', options.duration, options.silent, options.align, callback, {signal: signal, template: options.template, timezone: options.timezone});
+
+        }
+    },
+
+    split: {
+        usage: 'split <inputs...> [--output <folder>] [--prefix <prefix>] [--template <template>] [--timezone <zone>] [--duration <seconds>] [--overlap <seconds>] [--align-to-clock]',
+        options: {output: 'string', prefix: 'string', template: 'string', timezone: 'string', duration: 'number', overlap: 'number', 'align-to-clock': 'boolean'},
+        run: function (inputPath, options, callback, signal) {
+
+            return audiomothUtils.splitAsync(inputPath, options.output, options.prefix, options.duration, callback, {signal: signal, template: options.template, timezone: options.timezone, overlap: options.overlap, alignToClock: options['align-to-clock']});
+
+        }
+    },
+
+    'split-ranges': {
+        usage: 'split-ranges <inputs...> --ranges <CSV> [--output <folder>] [--prefix <prefix>] [--template <template>] [--timezone <zone>]',
+        options: {output: 'string', prefix: 'string', template: 'string', timezone: 'string', ranges: 'string'},
+        required: ['ranges'],
+        run: async function (inputPath, options, callback, signal) {
+
+            const result = await audiomothUtils.splitRangesAsync(inputPath, options.output, options.prefix, options.ranges, callback, {signal: signal, template: options.template, timezone: options.timezone});
+
+            /* Ranges which were skipped or clipped do not fail the file but are reported */
+
+            if (result.success) {
+
+                for (let i = 0; i < result.rangeIssues.length; i += 1) process.stderr.write('\n' + inputPath + ': ' + result.rangeIssues[i].error);
+
+                if (result.rangeIssues.length > 0) process.stderr.write('\n');
+
+            }
+
+            return result;
+
+        }
+    },
+
+    downsample: {
+        usage: 'downsample <inputs...> --rate <hertz> [--output <folder>] [--prefix <prefix>] [--template <template>] [--timezone <zone>] [--quality fast|standard|high]',
+        options: {output: 'string', prefix: 'string', template: 'string', timezone: 'string', rate: 'number', quality: 'string'},
+        required: ['rate'],
+        run: function (inputPath, options, callback, signal) {
+
+            return audiomothUtils.downsampleAsync(inputPath, options.output, options.prefix, options.rate, callback, {signal: signal, template: options.template, timezone: options.timezone, quality: options.quality});
+
+        }
+    },
+
+    resample: {
+        usage: 'resample <inputs...> --rate <hertz> [--output <folder>] [--prefix <prefix>] [--template <template>] [--timezone <zone>] [--quality fast|standard|high]',
+        options: {output: 'string', prefix: 'string', template: 'string', timezone: 'string', rate: 'number', quality: 'string'},
+        required: ['rate'],
+        run: function (inputPath, options, callback, signal) {
+
+            return audiomothUtils.resampleAsync(inputPath, options.output, options.prefix, options.rate, callback, {signal: signal, template: options.template, timezone: options.timezone, quality: options.quality});
+
+        }
+    },
+
+    filter: {
+        usage: 'filter <inputs...> --type LOW_PASS|HIGH_PASS|BAND_PASS --cutoff <hertz>... [--order <order>] [--zero-phase] [--output <folder>] [--prefix <prefix>]',
+        options: {output: 'string', prefix: 'string', type: 'string', cutoff: 'list', order: 'number', 'zero-phase': 'boolean'},
+        required: ['type'],
+        run: function (inputPath, options, callback, signal) {
+
+            const settings = {
+                type: options.type,
+                cutoffs: options.cutoff.map(Number),
+                order: options.order,
+                zeroPhase: options['zero-phase']
+            };
+
+            return audiomothUtils.filterAsync(inputPath, options.output, options.prefix, settings, callback, {signal: signal});
+
+        }
+    },
+
+    level: {
+        usage: 'level <inputs...> --type GAIN|PEAK|RMS|DC [--gain <decibels>] [--target <decibels>] [--output <folder>] [--prefix <prefix>]',
+        options: {output: 'string', prefix: 'string', type: 'string', gain: 'number', target: 'number'},
+        required: ['type'],
+        run: async function (inputPath, options, callback, signal) {
+
+            const result = await audiomothUtils.levelAsync(inputPath, options.output, options.prefix, {type: options.type, gain: options.gain, target: options.target}, callback, {signal: signal});
+
+            /* Clipping does not fail the file but is reported */
+
+            if (result.success && result.numberOfSamplesClipped > 0) process.stderr.write('\n' + inputPath + ': ' + result.numberOfSamplesClipped + ' sample' + (result.numberOfSamplesClipped === 1 ? ' was' : 's were') + ' clipped.\n');
+
+            return result;
+
+        }
+    },
+
+    merge: {
+        usage: 'merge <inputs...> [--output <folder>] [--prefix <prefix>] [--fill-gaps] [--allow-overlaps]',
+        options: {output: 'string', prefix: 'string', 'fill-gaps': 'boolean', 'allow-overlaps': 'boolean'},
+        initialise: function (options) {
+
+            options.inputPaths = [];
+
+            return {
+                success: true,
+                error: null
+            };
+
+        },
+        run: function (inputPath, options) {
+
+            /* Files are collected and merged together once they have all been listed */
+
+            options.inputPaths.push(inputPath);
+
+            return {
+                success: true,
+                error: null
+            };
+
+        },
+        finalise: async function (options, signal) {
+
+            const result = await audiomothUtils.mergeAsync(options.inputPaths, options.output, options.prefix, null, {signal: signal, fillGaps: options['fill-gaps'], allowOverlaps: options['allow-overlaps']});
+
+            /* Gaps and overlaps which were allowed do not fail the merge but are reported */
+
+            if (result.success) {
+
+                const issues = result.gaps.map(function (gap) {
+
+                    return gap.inputPath + ': ' + gap.duration + ' second gap before the file' + (options['fill-gaps'] ? ' was filled with silence.' : '.');
+
+                }).concat(result.overlaps.map(function (overlap) {
+
+                    return overlap.inputPath + ': ' + overlap.duration + ' second overlap with the previous file was removed.';
+
+                }));
+
+                for (let i = 0; i < issues.length; i += 1) process.stderr.write(issues[i] + '\n');
+
+            }
+
+            return result;
+
+        }
+    },
+
+    sync: {
+        usage: 'sync <inputs...> [--output <folder>] [--prefix <prefix>] [--template <template>] [--resample <hertz>] [--auto-resolve]',
+        options: {output: 'string', prefix: 'string', template: 'string', resample: 'number', 'auto-resolve': 'boolean'},
+        run: function (inputPath, options, callback, signal) {
+
+            return audiomothUtils.syncAsync(inputPath, options.output, options.prefix, options.resample, options['auto-resolve'], callback, {signal: signal, template: options.template});
+
+        }
+    },
+
+    repair: {
+        usage: 'repair <inputs...> --output <folder>',
+        options: {output: 'string'},
+        required: ['output'],
+        run: function (inputPath, options, callback, signal) {
+
+            return audiomothUtils.repairAsync(inputPath, options.output, callback, {signal: signal});
+
+        }
+    },
+
+    guano: {
+        usage: 'guano <inputs...> --output <folder> [--set <field=value>...] [--remove <field>...]',
+        options: {output: 'string', set: 'list', remove: 'list'},
+        required: ['output'],
+        run: function (inputPath, options, callback, signal) {
+
+            const changes = {};
+
+            for (let i = 0; i < options.set.length; i += 1) {
+
+                const index = options.set[i].indexOf('=');
+
+                if (index <= 0) {
+
+                    return {
+                        success: false,
+                        code: 'E_GUANO_FIELDS_INVALID',
+                        error: 'GUANO field ' + options.set[i] + ' must be given as field=value.'
+                    };
+
+                }
+
+                changes[options.set[i].substring(0, index)] = options.set[i].substring(index + 1);
+
+            }
+
+            for (let i = 0; i < options.remove.length; i += 1) changes[options.remove[i]] = null;
+
+            return audiomothUtils.editGuanoAsync(inputPath, options.output, changes, callback, {signal: signal});
+
+        }
+    },
+
+    validate: {
+        usage: 'validate <inputs...>',
+        options: {},
+        run: async function (inputPath, options, callback, signal) {
+
+            /* Files with GUANO issues are reported as failures so they can be flagged before analysis */
+
+            const result = await audiomothUtils.validateGuanoAsync(inputPath, callback, {signal: signal});
+
+            if (result.success === false || result.issues.length === 0) return result;
+
+            const messages = [];
+
+            for (let i = 0; i < result.issues.length; i += 1) messages.push(result.issues[i].message);
+
+            return {
+                success: false,
+                code: result.issues[0].code,
+                error: messages.join(' ')
+            };
+
+        }
+    },
+
+    align: {
+        usage: 'align <inputs...> --gps <GPS.TXT> [--output <folder>] [--prefix <prefix>] [--template <template>] [--all]',
+        options: {output: 'string', prefix: 'string', template: 'string', gps: 'string', all: 'boolean'},
+        required: ['gps'],
+        initialise: function (options) {
+
+            return audiomothUtils.aligner.initialiseAsync(options.gps);
+
+        },
+        run: function (inputPath, options, callback, signal) {
+
+            return audiomothUtils.aligner.alignAsync(inputPath, options.output, options.prefix, options.all === false, callback, {signal: signal, template: options.template});
+
+        },
+        finalise: function (options) {
+
+            return audiomothUtils.aligner.finaliseAsync(options.output || path.dirname(options.gps));
+
+        }
+    },
+
+    summarise: {
+        usage: 'summarise <inputs...> [--folder <folder>] [--output <folder>]',
+        options: {output: 'string', folder: 'string'},
+        initialise: function () {
+
+            audiomothUtils.summariser.initialise();
+
+            return {
+                success: true,
+                error: null
+            };
+
+        },
+        run: async function (inputPath, options, callback) {
+
+            /* Files which are not AudioMoth WAV files are skipped rather than failed */
+
+            const summarised = await audiomothUtils.summariser.summariseAsync(options.folder || process.cwd(), inputPath, callback);
+
+            return {
+                success: true,
+                skipped: summarised === false,
+                error: null
+            };
+
+        },
+        finalise: function (options) {
+
+            return audiomothUtils.summariser.finaliseAsync(options.output || process.cwd());
+
+        }
+    }
+
+};
+
+/* Usage message */
+
+function printUsage () {
+
+    let text = 'Usage: audiomoth-utils <command> <inputs...> [options]\n\nCommands:\n';
+
+    const names = Object.keys(COMMANDS);
+
+    for (let i = 0; i < names.length; i += 1) text += '  audiomoth-utils ' + COMMANDS[names[i]].usage + '\n';
+
+    text += '\nInputs may contain * and ? wildcards in the file name.\n';
+
+    process.stderr.write(text);
+
+}
+
+/* Parse the command line arguments */
+
+function parseArguments (command, args) {
+
+    const inputs = [];
+
+    const options = {};
+
+    let i = 0;
+
+    while (i < args.length) {
+
+        const arg = args[i];
+
+        i += 1;
+
+        if (arg.startsWith('--') === false) {
+
+            inputs.push(arg);
+
+            continue;
+
+        }
+
+        const name = arg.substring(2);
+
+        const type = command.options[name];
+
+        if (type === undefined) throw new Error('Unknown option --' + name + '.');
+
+        if (type === 'boolean') {
+
+            options[name] = true;
+
+            continue;
+
+        }
+
+        if (i === args.length) throw new Error('Option --' + name + ' requires a value.');
+
+        const value = args[i];
+
+        i += 1;
+
+        if (type === 'number') {
+
+            options[name] = Number(value);
+
+            if (isNaN(options[name])) throw new Error('Option --' + name + ' must be a number.');
+
+        } else if (type === 'list') {
+
+            options[name] = (options[name] || []).concat(value);
+
+        } else {
+
+            options[name] = value;
+
+        }
+
+    }
+
+    /* Set any missing boolean options to false and any missing list options, which may be repeated, to empty */
+
+    const names = Object.keys(command.options);
+
+    for (let j = 0; j < names.length; j += 1) {
+
+        if (command.options[names[j]] === 'boolean' && options[names[j]] === undefined) options[names[j]] = false;
+
+        if (command.options[names[j]] === 'list' && options[names[j]] === undefined) options[names[j]] = [];
+
+    }
+
+    /* Check required options */
+
+    const required = command.required || [];
+
+    for (let j = 0; j < required.length; j += 1) {
+
+        if (options[required[j]] === undefined) throw new Error('Option --' + required[j] + ' is required.');
+
+    }
+
+    return {
+        inputs: inputs,
+        options: options
+    };
+
+}
+
+/* Expand wildcards in the file name component of each input */
+
+function globToRegex (pattern) {
+
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+
+    return new RegExp('^' + escaped.replace(/\*/g, '.*').replace(/\?/g, '.') + '$');
+
+}
+
+function expandInputs (inputs) {
+
+    const inputPaths = [];
+
+    for (let i = 0; i < inputs.length; i += 1) {
+
+        const input = inputs[i];
+
+        const parsedPath = path.parse(input);
+
+        if (WILDCARD_REGEX.test(parsedPath.base) === false) {
+
+            inputPaths.push(input);
+
+            continue;
+
+        }
+
+        const folderPath = parsedPath.dir === '' ? '.' : parsedPath.dir;
+
+        const regex = globToRegex(parsedPath.base);
+
+        let filenames;
+
+        try {
+
+            filenames = fs.readdirSync(folderPath).sort();
+
+        } catch (e) {
+
+            throw new Error('Could not read folder ' + folderPath + '.');
+
+        }
+
+        for (let j = 0; j < filenames.length; j += 1) {
+
+            if (regex.test(filenames[j])) inputPaths.push(path.join(parsedPath.dir, filenames[j]));
+
+        }
+
+    }
+
+    return inputPaths;
+
+}
+
+/* Run a command on each input */
+
+async function main (args) {
+
+    const command = COMMANDS[args[0]];
+
+    if (command === undefined) {
+
+        printUsage();
+
+        return EXIT_USAGE;
+
+    }
+
+    let parsedArguments, inputPaths;
+
+    try {
+
+        parsedArguments = parseArguments(command, args.slice(1));
+
+        inputPaths = expandInputs(parsedArguments.inputs);
+
+    } catch (e) {
+
+        process.stderr.write(e.message + '\n\n');
+
+        printUsage();
+
+        return EXIT_USAGE;
+
+    }
+
+    if (inputPaths.length === 0) {
+
+        process.stderr.write('No input files found.\n');
+
+        return EXIT_FAILURE;
+
+    }
+
+    const options = parsedArguments.options;
+
+    /* Cancel the current file on interrupt. A second interrupt quits straight away in case the current file does not stop */
+
+    const signal = {aborted: false};
+
+    process.on('SIGINT', function () {
+
+        if (signal.aborted) process.exit(EXIT_INTERRUPTED);
+
+        signal.aborted = true;
+
+    });
+
+    /* Initialise the command if required */
+
+    if (command.initialise) {
+
+        const result = await command.initialise(options);
+
+        if (result.success === false) {
+
+            process.stderr.write(result.error + '\n');
+
+            return EXIT_FAILURE;
+
+        }
+
+    }
+
+    /* Process each file, showing progress */
+
+    let numberOfFailures = 0;
+
+    for (let i = 0; i < inputPaths.length && signal.aborted === false; i += 1) {
+
+        const label = '[' + (i + 1) + '/' + inputPaths.length + '] ' + path.basename(inputPaths[i]);
+
+        const callback = function (progress) {
+
+            if (process.stdout.isTTY) process.stdout.write('\r' + label + ' ' + progress + '%');
+
+        };
+
+        let result;
+
+        try {
+
+            result = await command.run(inputPaths[i], options, callback, signal);
+
+        } catch (e) {
+
+            result = {
+                success: false,
+                error: e.message
+            };
+
+        }
+
+        if (process.stdout.isTTY) process.stdout.write('\r');
+
+        if (result.success) {
+
+            process.stdout.write(label + (result.skipped ? ' skipped\n' : ' done\n'));
+
+        } else {
+
+            numberOfFailures += 1;
+
+            process.stdout.write(label + ' failed\n');
+
+            process.stderr.write(inputPaths[i] + ': ' + result.error + '\n');
+
+        }
+
+    }
+
+    /* Finalise the command if required */
+
+    if (command.finalise && signal.aborted === false) {
+
+        const result = await command.finalise(options, signal);
+
+        if (result.success === false) {
+
+            process.stderr.write(result.error + '\n');
+
+            return EXIT_FAILURE;
+
+        }
+
+    }
+
+    return numberOfFailures > 0 || signal.aborted ? EXIT_FAILURE : EXIT_SUCCESS;
+
+}
+
+main(process.argv.slice(2)).then(function (exitCode) {
+
+    process.exitCode = exitCode;
+
+}).catch(function (e) {
+
+    process.stderr.write(e.message + '\n');
+
+    process.exitCode = EXIT_FAILURE;
+
+});
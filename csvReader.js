@@ -6,33 +6,265 @@
 
 'use strict';
 
-const fs = require('fs');
+const StringDecoder = require('string_decoder').StringDecoder;
+
+const ioHandler = require('./ioHandler.js');
 
 const FILE_BUFFER_SIZE = 32 * 1024;
 
-const fileBuffer = Buffer.alloc(FILE_BUFFER_SIZE);
+/* RFC 4180 constants */
 
-/* Function to handle an individual line */
+const BYTE_ORDER_MARK = '\uFEFF';
 
-function parseLine (columnNames, tokens, parseFunctions, tokenMap, data) {
+const QUOTE = '"';
+const SEPARATOR = ',';
+const CARRIAGE_RETURN = '\r';
+const LINE_FEED = '\n';
 
-    for (let i = 0; i < columnNames.length; i += 1) {
+const NUMBER_REGEX = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+/* Functions to split the file into records, which may span several lines if a quoted field contains a line break */
+
+function createParser () {
+
+    return {
+        fields: [],
+        field: '',
+        quoted: false,
+        quoteClosed: false,
+        line: 1,
+        recordLine: 1,
+        lastCharacter: null
+    };
+
+}
+
+function isRecordPending (parser) {
+
+    return parser.fields.length > 0 || parser.field !== '' || parser.quoted;
+
+}
+
+function endField (parser) {
+
+    parser.fields.push(parser.field);
+
+    parser.field = '';
+
+    parser.quoted = false;
+
+    parser.quoteClosed = false;
+
+}
+
+function endRecord (parser, records) {
+
+    endField(parser);
+
+    records.push({
+        line: parser.recordLine,
+        fields: parser.fields
+    });
+
+    parser.fields = [];
+
+}
+
+function parseText (parser, text, records) {
+
+    for (let i = 0; i < text.length; i += 1) {
+
+        const character = text[i];
+
+        const lastCharacter = parser.lastCharacter;
+
+        parser.lastCharacter = character;
+
+        if (lastCharacter === null && character === BYTE_ORDER_MARK) continue;
+
+        /* CR, LF and CRLF each count as one line break */
+
+        const lineBreak = character === CARRIAGE_RETURN || (character === LINE_FEED && lastCharacter !== CARRIAGE_RETURN);
+
+        if (lineBreak) parser.line += 1;
+
+        if (parser.quoted && parser.quoteClosed === false) {
+
+            /* Inside a quoted field everything is data until the closing quote */
+
+            if (character === QUOTE) {
+
+                parser.quoteClosed = true;
+
+            } else if (lineBreak) {
+
+                parser.field += LINE_FEED;
+
+            } else if (character !== LINE_FEED) {
+
+                parser.field += character;
+
+            }
+
+            continue;
+
+        }
+
+        if (parser.quoted && character === QUOTE && lastCharacter === QUOTE) {
+
+            /* A doubled quote is an escaped quote */
+
+            parser.field += QUOTE;
+
+            parser.quoteClosed = false;
+
+        } else if (character === SEPARATOR) {
+
+            endField(parser);
+
+        } else if (character === CARRIAGE_RETURN || character === LINE_FEED) {
+
+            /* A line break ends the record. Blank lines are skipped */
+
+            if (lineBreak && isRecordPending(parser)) endRecord(parser, records);
+
+            parser.recordLine = parser.line;
 
-        const name = columnNames[i];
+        } else if (character === QUOTE && parser.field === '' && parser.quoted === false) {
 
-        const index = tokenMap[name];
+            parser.quoted = true;
 
-        if (typeof (index) === 'number') data[name].push(parseFunctions[i](tokens[index]));
+        } else {
+
+            parser.field += character;
+
+        }
 
     }
 
 }
 
-/* Function to read the file */
+/* Function to check a value against the declared type of its column */
 
-function readFile (inputPath, columnNames, parseFunctions) {
+function parseValue (parseFunction, token) {
+
+    if (parseFunction === Number) {
+
+        return NUMBER_REGEX.test(token.trim()) ? {value: Number(token)} : {error: 'is not a number'};
+
+    }
+
+    try {
+
+        const value = parseFunction(token);
+
+        return typeof value === 'number' && isNaN(value) ? {error: 'is not valid'} : {value: value};
+
+    } catch (e) {
+
+        return {error: 'is not valid'};
+
+    }
+
+}
+
+/* Function to check a record against the header */
+
+function parseRow (reader, record) {
+
+    if (record.error) return record;
+
+    if (record.fields.length !== reader.numberOfColumns) {
+
+        return {
+            line: record.line,
+            error: 'Row has ' + record.fields.length + ' column' + (record.fields.length === 1 ? '' : 's') + ' but the header has ' + reader.numberOfColumns + '.'
+        };
+
+    }
+
+    const values = {};
+
+    for (let i = 0; i < reader.columnNames.length; i += 1) {
+
+        const name = reader.columnNames[i];
+
+        const token = record.fields[reader.tokenMap[name]];
+
+        const result = parseValue(reader.parseFunctions[i], token);
+
+        if (result.error) {
+
+            return {
+                line: record.line,
+                error: 'Value "' + token + '" in column ' + name + ' ' + result.error + '.'
+            };
+
+        }
+
+        values[name] = result.value;
+
+    }
+
+    return {
+        line: record.line,
+        values: values
+    };
+
+}
+
+/* Function to read the next record, reading more of the file when needed. Returns null at the end of the file */
+
+function * readRecord (reader) {
+
+    while (reader.records.length === 0 && reader.ended === false) {
+
+        if (reader.numberOfBytesRead < reader.fileSize) {
+
+            const numberOfBytes = Math.min(FILE_BUFFER_SIZE, reader.fileSize - reader.numberOfBytesRead);
+
+            yield ioHandler.read(reader.fi, reader.fileBuffer, 0, numberOfBytes, reader.numberOfBytesRead);
+
+            parseText(reader.parser, reader.decoder.write(reader.fileBuffer.subarray(0, numberOfBytes)), reader.records);
+
+            reader.numberOfBytesRead += numberOfBytes;
+
+        } else {
+
+            /* Handle the last line, which may not end with a line break */
+
+            const parser = reader.parser;
+
+            parseText(parser, reader.decoder.end(), reader.records);
 
-    let fi, fileSize, data, tokenMap, numberOfColumns;
+            if (parser.quoted && parser.quoteClosed === false) {
+
+                reader.records.push({
+                    line: parser.recordLine,
+                    error: 'Quoted field is not closed before the end of the file.'
+                });
+
+            } else if (isRecordPending(parser)) {
+
+                endRecord(parser, reader.records);
+
+            }
+
+            reader.ended = true;
+
+        }
+
+    }
+
+    return reader.records.length > 0 ? reader.records.shift() : null;
+
+}
+
+/* Open a CSV file and read its header, which must contain every requested column. Each column is converted with its parse function, and Number columns must contain valid numbers */
+
+function * openReaderOperation (inputPath, columnNames, parseFunctions) {
+
+    let fi, fileSize;
 
     /* Check arguments */
 
@@ -40,6 +272,7 @@ function readFile (inputPath, columnNames, parseFunctions) {
 
         return {
             success: false,
+            code: 'E_ARGUMENTS_INVALID',
             error: 'Arguments are incorrect.'
         };
 
@@ -49,12 +282,13 @@ function readFile (inputPath, columnNames, parseFunctions) {
 
     try {
 
-        fi = fs.openSync(inputPath, 'r');
+        fi = yield ioHandler.open(inputPath, 'r');
 
     } catch (e) {
 
         return {
             success: false,
+            code: 'E_CSV_OPEN',
             error: 'Could not open input CSV file.'
         };
 
@@ -62,12 +296,13 @@ function readFile (inputPath, columnNames, parseFunctions) {
 
     try {
 
-        fileSize = fs.statSync(inputPath).size;
+        fileSize = (yield ioHandler.stat(inputPath)).size;
 
     } catch (e) {
 
         return {
             success: false,
+            code: 'E_CSV_SIZE_READ',
             error: 'Could not read input CSV file size.'
         };
 
@@ -77,97 +312,256 @@ function readFile (inputPath, columnNames, parseFunctions) {
 
         return {
             success: false,
+            code: 'E_CSV_EMPTY',
             error: 'Input CSV file has zero size.'
         };
 
     }
 
-    /* Read first line */
-
-    try {
+    /* Read the header, decoding UTF-8 characters which span two reads */
+
+    const reader = {
+        fi: fi,
+        fileSize: fileSize,
+        numberOfBytesRead: 0,
+        fileBuffer: Buffer.alloc(FILE_BUFFER_SIZE),
+        decoder: new StringDecoder('utf8'),
+        parser: createParser(),
+        records: [],
+        ended: false,
+        columnNames: columnNames,
+        parseFunctions: parseFunctions,
+        tokenMap: {},
+        numberOfColumns: 0
+    };
 
-        let buffer = '';
+    let header;
 
-        let numberOfBytesRead = 0;
+    try {
 
-        while (numberOfBytesRead < fileSize) {
+        header = yield * readRecord(reader);
 
-            const numberOfBytes = Math.min(FILE_BUFFER_SIZE, fileSize - numberOfBytesRead);
+    } catch (e) {
 
-            fs.readSync(fi, fileBuffer, 0, numberOfBytes, null);
+        return {
+            success: false,
+            code: 'E_CSV_READ',
+            error: 'Could not read input CSV file.'
+        };
 
-            const newLines = buffer.concat(fileBuffer.slice(0, numberOfBytes)).toString().split(/\r?\n/);
+    }
 
-            buffer = newLines.pop();
+    if (header === null || header.error) {
 
-            while (newLines.length > 0) {
+        return {
+            success: false,
+            code: 'E_CSV_PARSE',
+            error: 'Input CSV file does not contain a header row.'
+        };
 
-                const line = newLines.shift();
+    }
 
-                const tokens = line.split(',');
+    reader.numberOfColumns = header.fields.length;
 
-                if (tokenMap) {
+    for (let i = 0; i < columnNames.length; i += 1) {
 
-                    if (tokens.length === numberOfColumns) parseLine(columnNames, tokens, parseFunctions, tokenMap, data);
+        const index = header.fields.indexOf(columnNames[i]);
 
-                } else {
+        if (index < 0) {
 
-                    data = {};
+            return {
+                success: false,
+                code: 'E_CSV_COLUMN_MISSING',
+                error: 'Input CSV file does not contain a ' + columnNames[i] + ' column.'
+            };
 
-                    tokenMap = {};
+        }
 
-                    numberOfColumns = tokens.length;
+        reader.tokenMap[columnNames[i]] = index;
 
-                    for (let i = 0; i < columnNames.length; i += 1) {
+    }
 
-                        const name = columnNames[i];
+    return {
+        success: true,
+        error: null,
+        reader: reader
+    };
 
-                        for (let j = 0; j < tokens.length; j += 1) {
+}
 
-                            if (name === tokens[j] && tokenMap[name] === undefined) {
+/* Read the next row as its line number and an object of typed values. The row is null at the end of the file, when the file is closed. A malformed row returns an error but reading can continue with the next row */
 
-                                tokenMap[name] = j;
+function * readRowOperation (reader) {
 
-                                data[name] = [];
+    let record;
 
-                            }
+    try {
 
-                        }
+        record = yield * readRecord(reader);
 
-                    }
+    } catch (e) {
 
-                }
+        return {
+            success: false,
+            code: 'E_CSV_READ',
+            error: 'Could not read input CSV file.'
+        };
 
-            }
+    }
 
-            numberOfBytesRead += numberOfBytes;
+    if (record === null) {
 
-        }
+        yield * closeReaderOperation(reader);
 
-        /* Handle last line */
+        return {
+            success: true,
+            error: null,
+            row: null
+        };
 
-        const tokens = buffer.split(',');
+    }
 
-        if (tokens && tokens.length === numberOfColumns) parseLine(columnNames, tokens, parseFunctions, tokenMap, data);
+    const row = parseRow(reader, record);
 
-    } catch (e) {
+    if (row.error) {
 
         return {
             success: false,
-            error: 'Something went wrong parsing CSV file.'
+            code: 'E_CSV_ROW_INVALID',
+            error: 'Input CSV file line ' + row.line + ' could not be parsed. ' + row.error,
+            malformedRow: row
         };
 
     }
 
-    /* Return data */
+    return {
+        success: true,
+        error: null,
+        row: row
+    };
+
+}
+
+function * closeReaderOperation (reader) {
+
+    if (reader.fi === null) return;
+
+    yield ioHandler.close(reader.fi);
+
+    reader.fi = null;
+
+}
+
+/* Read every row, passing each one to the row callback. Reading stops early if the callback returns false. Malformed rows are returned with their line numbers */
+
+function * readRowsOperation (inputPath, columnNames, parseFunctions, rowCallback) {
+
+    const result = yield * openReaderOperation(inputPath, columnNames, parseFunctions);
+
+    if (result.success === false) return result;
+
+    const reader = result.reader;
+
+    const malformedRows = [];
+
+    let numberOfRows = 0;
+
+    while (true) {
+
+        const rowResult = yield * readRowOperation(reader);
+
+        if (rowResult.success === false) {
+
+            if (rowResult.malformedRow === undefined) return rowResult;
+
+            malformedRows.push(rowResult.malformedRow);
+
+            continue;
+
+        }
+
+        if (rowResult.row === null) break;
+
+        numberOfRows += 1;
+
+        if (rowCallback(rowResult.row) === false) break;
+
+    }
+
+    yield * closeReaderOperation(reader);
 
     return {
         success: true,
-        data: data
+        error: null,
+        numberOfRows: numberOfRows,
+        malformedRows: malformedRows
     };
 
 }
 
+/* Function to read the whole file into an array for each column */
+
+function * readFileOperation (inputPath, columnNames, parseFunctions) {
+
+    const data = {};
+
+    for (let i = 0; i < columnNames.length; i += 1) data[columnNames[i]] = [];
+
+    const result = yield * readRowsOperation(inputPath, columnNames, parseFunctions, function (row) {
+
+        for (let i = 0; i < columnNames.length; i += 1) data[columnNames[i]].push(row.values[columnNames[i]]);
+
+    });
+
+    if (result.success === false) return result;
+
+    /* Return data and any rows which could not be parsed */
+
+    return {
+        success: true,
+        error: null,
+        data: data,
+        malformedRows: result.malformedRows
+    };
+
+}
+
+/* Run read file synchronously or asynchronously */
+
+function readFile (inputPath, columnNames, parseFunctions) {
+
+    return ioHandler.runSync(readFileOperation(inputPath, columnNames, parseFunctions));
+
+}
+
+function readFileAsync (inputPath, columnNames, parseFunctions) {
+
+    return ioHandler.runAsync(readFileOperation(inputPath, columnNames, parseFunctions));
+
+}
+
+/* Run read rows synchronously or asynchronously */
+
+function readRows (inputPath, columnNames, parseFunctions, rowCallback) {
+
+    return ioHandler.runSync(readRowsOperation(inputPath, columnNames, parseFunctions, rowCallback));
+
+}
+
+function readRowsAsync (inputPath, columnNames, parseFunctions, rowCallback) {
+
+    return ioHandler.runAsync(readRowsOperation(inputPath, columnNames, parseFunctions, rowCallback));
+
+}
+
 /* Exports */
 
 exports.readFile = readFile;
+exports.readFileAsync = readFileAsync;
+exports.readRows = readRows;
+exports.readRowsAsync = readRowsAsync;
+exports.readFileOperation = readFileOperation;
+exports.readRowsOperation = readRowsOperation;
+exports.openReaderOperation = openReaderOperation;
+exports.readRowOperation = readRowOperation;
+exports.closeReaderOperation = closeReaderOperation;
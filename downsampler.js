@@ -6,40 +6,46 @@
 
 'use strict';
 
-const fs = require('fs');
 const path = require('path');
 
+const ioHandler = require('./ioHandler.js');
 const wavHandler = require('./wavHandler.js');
 const guanoHandler = require('./guanoHandler.js');
 const filenameHandler = require('./filenameHandler.js');
 
-/* Downsample constants */
+/* Range of requested sample rates */
 
-const INT16_MIN = -32768;
+const MINIMUM_SAMPLE_RATE = 1000;
 
-const INT16_MAX = 32767;
+const MAXIMUM_SAMPLE_RATE = 768000;
 
-const HERTZ_IN_KILOHERTZ = 1000;
+/* File buffer constants */
 
-/* Valid sample rate */
+const FILE_BUFFER_SIZE = 32 * 1024;
 
-const validSampleRates = [8000, 16000, 32000, 48000, 96000, 192000, 250000, 384000];
+const HEADER_BUFFER_SIZE = 32 * 1024;
 
-/* File buffer constants */
+/* Anti-aliasing filter quality presets. The passband is the fraction of the output Nyquist frequency passed unchanged and the attenuation, in decibels, is reached at the output Nyquist frequency */
 
-const NUMBER_OF_BYTES_IN_SAMPLE = 2;
+const QUALITY_PRESETS = {
+    fast: {passband: 0.8, attenuation: 60},
+    standard: {passband: 0.9, attenuation: 90},
+    high: {passband: 0.95, attenuation: 120}
+};
 
-const FILE_BUFFER_SIZE = 32 * 1024;
+const DEFAULT_QUALITY = 'standard';
 
-const HEADER_BUFFER_SIZE = 32 * 1024;
+/* Kaiser window design constants */
 
-/* Buffers for reading data */
+const KAISER_ATTENUATION_OFFSET = 7.95;
 
-const inputBuffer = Buffer.alloc(FILE_BUFFER_SIZE);
+const KAISER_TRANSITION_FACTOR = 14.36;
 
-const outputBuffer = Buffer.alloc(FILE_BUFFER_SIZE);
+const BESSEL_TOLERANCE = 1e-12;
 
-const headerBuffer = Buffer.alloc(HEADER_BUFFER_SIZE);
+/* Limit on the size of the polyphase filter. Ratios needing more phases than fit are handled by interpolating between phases */
+
+const MAXIMUM_NUMBER_OF_COEFFICIENTS = 4 * 1024 * 1024;
 
 /* Greatest common divisor function */
 
@@ -59,29 +65,140 @@ function greatestCommonDivider (a, b) {
 
 }
 
-/* Little-endian sample read and write functions */
+/* Zeroth order modified Bessel function of the first kind, used by the Kaiser window */
+
+function besselI0 (x) {
+
+    let sum = 1;
+
+    let term = 1;
+
+    for (let k = 1; term > BESSEL_TOLERANCE * sum; k += 1) {
+
+        term *= (x / (2 * k)) * (x / (2 * k));
+
+        sum += term;
+
+    }
+
+    return sum;
+
+}
+
+/* Kaiser window shape parameter giving the requested stopband attenuation */
+
+function calculateKaiserBeta (attenuation) {
+
+    if (attenuation > 50) return 0.1102 * (attenuation - 8.7);
+
+    if (attenuation > 21) return 0.5842 * Math.pow(attenuation - 21, 0.4) + 0.07886 * (attenuation - 21);
+
+    return 0;
+
+}
+
+/* Design a windowed-sinc polyphase filter which resamples by interpolation / decimation. Each phase holds the taps applied to consecutive input frames for one fractional input position and sums to one so the gain is unchanged */
+
+function designFilter (interpolation, decimation, preset) {
+
+    if (interpolation === decimation) {
+
+        return {
+            numberOfTaps: 1,
+            numberOfPhases: 1,
+            interpolated: false,
+            phases: [new Float64Array([1])]
+        };
+
+    }
+
+    /* Work in input samples with the cutoff midway between the passband edge and the output Nyquist frequency */
+
+    const ratio = Math.min(1, interpolation / decimation);
+
+    const cutoff = ratio * (1 + preset.passband) / 2;
+
+    const halfWidth = (preset.attenuation - KAISER_ATTENUATION_OFFSET) / (KAISER_TRANSITION_FACTOR * (1 - preset.passband)) / ratio;
+
+    const halfNumberOfTaps = Math.ceil(halfWidth);
+
+    const numberOfTaps = 2 * halfNumberOfTaps;
+
+    const beta = calculateKaiserBeta(preset.attenuation);
+
+    const denominator = besselI0(beta);
+
+    /* Use a phase for every fractional position unless there are too many, in which case an extra phase at the next input frame allows interpolation across the last interval */
+
+    const numberOfPhases = Math.min(interpolation, Math.max(1, Math.floor(MAXIMUM_NUMBER_OF_COEFFICIENTS / numberOfTaps) - 1));
+
+    const interpolated = numberOfPhases < interpolation;
+
+    const phases = [];
+
+    for (let phase = 0; phase < numberOfPhases + (interpolated ? 1 : 0); phase += 1) {
 
-function readInt16 (buffer, index) {
+        const taps = new Float64Array(numberOfTaps);
 
-    let value = buffer[index] + (buffer[index + 1] << 8);
+        let total = 0;
 
-    if (value > 0x7FFF) value -= 0x10000;
+        for (let k = 0; k < numberOfTaps; k += 1) {
 
-    return value;
+            const x = phase / numberOfPhases + halfNumberOfTaps - 1 - k;
+
+            const position = x / halfWidth;
+
+            if (Math.abs(position) >= 1) continue;
+
+            const sinc = x === 0 ? 1 : Math.sin(Math.PI * cutoff * x) / (Math.PI * cutoff * x);
+
+            taps[k] = cutoff * sinc * besselI0(beta * Math.sqrt(1 - position * position)) / denominator;
+
+            total += taps[k];
+
+        }
+
+        for (let k = 0; k < numberOfTaps; k += 1) taps[k] /= total;
+
+        phases.push(taps);
+
+    }
+
+    return {
+        numberOfTaps: numberOfTaps,
+        numberOfPhases: numberOfPhases,
+        interpolated: interpolated,
+        phases: phases,
+        taps: interpolated ? new Float64Array(numberOfTaps) : null
+    };
 
 }
 
-function writeInt16 (buffer, index, value) {
+/* Return the taps for the fractional input position phase / interpolation */
+
+function getTaps (filter, phase, interpolation) {
+
+    if (filter.interpolated === false) return filter.phases[phase];
+
+    const position = phase * filter.numberOfPhases / interpolation;
+
+    const index = Math.floor(position);
 
-    buffer[index] = value & 0xFF;
+    const fraction = position - index;
 
-    buffer[index + 1] = (value >> 8) & 0xFF;
+    const lower = filter.phases[index];
+
+    const upper = filter.phases[index + 1];
+
+    for (let k = 0; k < filter.numberOfTaps; k += 1) filter.taps[k] = lower[k] + fraction * (upper[k] - lower[k]);
+
+    return filter.taps;
 
 }
 
-/* Downsample a WAV file */
+/* Resample a WAV file to any whole number sample rate. Downsampling refuses rates above the original sample rate */
 
-function downsample (inputPath, outputPath, prefix, requestedSampleRate, callback) {
+function * resampleOperation (inputPath, outputPath, prefix, requestedSampleRate, downsampleOnly, callback, options) {
 
     /* Check parameter */
 
@@ -91,33 +208,60 @@ function downsample (inputPath, outputPath, prefix, requestedSampleRate, callbac
 
         return {
             success: false,
+            code: 'E_PREFIX_INVALID',
             error: 'Filename prefix must be a string.'
         };
 
     }
 
+    if (options.template !== undefined && filenameHandler.checkTemplate(options.template) === false) {
+
+        return {
+            success: false,
+            code: 'E_TEMPLATE_INVALID',
+            error: 'Filename template is not valid.'
+        };
+
+    }
+
+    if (options.timezone !== undefined && filenameHandler.checkTimezone(options.timezone) === false) {
+
+        return {
+            success: false,
+            code: 'E_TIMEZONE_INVALID',
+            error: 'Time zone is not valid.'
+        };
+
+    }
+
     if (typeof requestedSampleRate !== 'number') {
 
         return {
             success: false,
+            code: 'E_SAMPLE_RATE_NOT_NUMBER',
             error: 'Requested sample rate must be a number.'
         };
 
     }
 
-    let requestedSampleRateCheck = false;
+    const quality = options.quality === undefined ? DEFAULT_QUALITY : options.quality;
 
-    for (let i = 0; i < validSampleRates.length; i += 1) {
+    if (Object.prototype.hasOwnProperty.call(QUALITY_PRESETS, quality) === false) {
 
-        if (requestedSampleRate === validSampleRates[i]) requestedSampleRateCheck = true;
+        return {
+            success: false,
+            code: 'E_QUALITY_INVALID',
+            error: 'Quality must be one of ' + Object.keys(QUALITY_PRESETS).join(', ') + '.'
+        };
 
     }
 
-    if (requestedSampleRateCheck === false) {
+    if (Number.isInteger(requestedSampleRate) === false || requestedSampleRate < MINIMUM_SAMPLE_RATE || requestedSampleRate > MAXIMUM_SAMPLE_RATE) {
 
         return {
             success: false,
-            error: 'Requested sample rate is not valid.'
+            code: 'E_SAMPLE_RATE_INVALID',
+            error: 'Requested sample rate must be a whole number of hertz from ' + MINIMUM_SAMPLE_RATE + ' to ' + MAXIMUM_SAMPLE_RATE + '.'
         };
 
     }
@@ -128,12 +272,13 @@ function downsample (inputPath, outputPath, prefix, requestedSampleRate, callbac
 
     try {
 
-        fi = fs.openSync(inputPath, 'r');
+        fi = yield ioHandler.open(inputPath, 'r');
 
     } catch (e) {
 
         return {
             success: false,
+            code: 'E_INPUT_OPEN',
             error: 'Could not open input file.'
         };
 
@@ -143,10 +288,11 @@ function downsample (inputPath, outputPath, prefix, requestedSampleRate, callbac
 
     outputPath = outputPath || path.parse(inputPath).dir;
 
-    if (fs.lstatSync(outputPath).isDirectory() === false) {
+    if ((yield ioHandler.lstat(outputPath)).isDirectory() === false) {
 
         return {
             success: false,
+            code: 'E_DESTINATION_NOT_DIRECTORY',
             error: 'Destination path is not a directory.'
         };
 
@@ -158,12 +304,13 @@ function downsample (inputPath, outputPath, prefix, requestedSampleRate, callbac
 
     try {
 
-        fileSize = fs.statSync(inputPath).size;
+        fileSize = (yield ioHandler.stat(inputPath)).size;
 
     } catch (e) {
 
         return {
             success: false,
+            code: 'E_INPUT_SIZE_READ',
             error: 'Could not read input file size.'
         };
 
@@ -173,21 +320,31 @@ function downsample (inputPath, outputPath, prefix, requestedSampleRate, callbac
 
         return {
             success: false,
+            code: 'E_INPUT_EMPTY',
             error: 'Input file has zero size.'
         };
 
     }
 
+    /* Allocate buffers for reading and writing data */
+
+    const inputBuffer = Buffer.alloc(FILE_BUFFER_SIZE);
+
+    const outputBuffer = Buffer.alloc(FILE_BUFFER_SIZE);
+
+    const headerBuffer = Buffer.alloc(HEADER_BUFFER_SIZE);
+
     /* Read the header */
 
     try {
 
-        fs.readSync(fi, headerBuffer, 0, FILE_BUFFER_SIZE, 0);
+        yield ioHandler.read(fi, headerBuffer, 0, FILE_BUFFER_SIZE, 0);
 
     } catch (e) {
 
         return {
             success: false,
+            code: 'E_HEADER_READ',
             error: 'Could not read the input WAV header.'
         };
 
@@ -219,213 +376,295 @@ function downsample (inputPath, outputPath, prefix, requestedSampleRate, callbac
 
     const originalSampleRate = header.wavFormat.samplesPerSecond;
 
-    if (requestedSampleRate > originalSampleRate) {
+    if (downsampleOnly && requestedSampleRate > originalSampleRate) {
 
         return {
             success: false,
+            code: 'E_SAMPLE_RATE_TOO_HIGH',
             error: 'Requested sample rate is greater than original sample rate.'
         };
 
     }
 
-    /* Determine settings from the input file */
+    /* Determine settings from the input file. Samples are processed a frame at a time with one sample from each channel */
 
-    const numberOfSamplesInInput = header.data.size / NUMBER_OF_BYTES_IN_SAMPLE;
+    const sampleCodec = wavHandler.getSampleCodec(header.wavFormat);
 
-    /* Determine timestamp of input file */
+    const numberOfChannels = header.wavFormat.numberOfChannels;
 
-    const outputFilename = (prefix === '' ? '' : prefix + '_') + inputFilename;
+    const numberOfBytesInSample = sampleCodec.bytesPerSample;
 
-    /* Calculate the downsampling parameters */
+    const numberOfBytesInFrame = header.wavFormat.bytesPerCapture;
 
-    const sampleRateDivider = Math.ceil(originalSampleRate / requestedSampleRate);
+    const numberOfFramesInBuffer = Math.floor(FILE_BUFFER_SIZE / numberOfBytesInFrame);
 
-    const rawSampleRate = sampleRateDivider * requestedSampleRate;
+    const frameBufferSize = numberOfFramesInBuffer * numberOfBytesInFrame;
 
-    const step = originalSampleRate / rawSampleRate;
+    const numberOfFramesInInput = Math.floor(header.data.size / numberOfBytesInFrame);
 
-    /* Calculate the number of samples to read and write */
+    /* Generate output filename, from the template if one is given, with the start time in the requested time zone */
 
-    const gcd = greatestCommonDivider(originalSampleRate / HERTZ_IN_KILOHERTZ, requestedSampleRate / HERTZ_IN_KILOHERTZ);
+    const outputTime = filenameHandler.convertTimestamp(filenameCheck.originalTimestamp, filenameCheck.timezoneOffset, options.timezone);
 
-    const divider = originalSampleRate / HERTZ_IN_KILOHERTZ / gcd;
+    const templateValues = {
+        timestamp: outputTime.timestamp,
+        prefix: prefix,
+        deviceID: header.iart.artist,
+        timezoneOffset: outputTime.timezoneOffset,
+        type: filenameHandler.DOWNSAMPLE,
+        index: 1,
+        name: path.parse(inputPath).name
+    };
 
-    const multiplier = requestedSampleRate / HERTZ_IN_KILOHERTZ / gcd;
+    let outputFilename = (prefix === '' ? '' : prefix + '_') + inputFilename;
 
-    const numberOfSamplesToWrite = Math.floor(numberOfSamplesInInput / divider) * multiplier;
+    const parsedFilename = filenameHandler.parseFilename(inputFilename);
 
-    let fo;
+    if (options.timezone !== undefined && parsedFilename.success && parsedFilename.dateIncluded) {
 
-    let progress = 0;
+        parsedFilename.timestamp = filenameHandler.convertTimestamp(parsedFilename.timestamp, filenameCheck.timezoneOffset, options.timezone).timestamp;
 
-    try {
+        outputFilename = (prefix === '' ? '' : prefix + '_') + filenameHandler.formatFilename(parsedFilename);
 
-        /* Open the output file */
+    }
 
-        fo = fs.openSync(path.join(outputPath, outputFilename), 'w');
+    if (options.template) outputFilename = filenameHandler.formatTemplate(options.template, templateValues);
 
-        /* Write the header */
+    if (path.resolve(outputPath, outputFilename) === path.resolve(inputPath)) {
 
-        wavHandler.updateSizes(header, null, numberOfSamplesToWrite * NUMBER_OF_BYTES_IN_SAMPLE);
+        return {
+            success: false,
+            code: 'E_OUTPUT_IS_INPUT',
+            error: 'Downsampled file would overwrite the input file.'
+        };
 
-        wavHandler.updateSampleRate(header, requestedSampleRate);
+    }
 
-        wavHandler.writeHeader(headerBuffer, header);
+    /* Design the anti-aliasing filter from the ratio of the sample rates in its lowest terms. Output frame n is centred on input position n * decimation / interpolation */
 
-        fs.writeSync(fo, headerBuffer, 0, header.size, null);
+    const sampleRateGCD = greatestCommonDivider(originalSampleRate, requestedSampleRate);
 
-        /* Write the data */
+    const interpolation = requestedSampleRate / sampleRateGCD;
 
-        if (numberOfSamplesToWrite > 0) {
+    const decimation = originalSampleRate / sampleRateGCD;
 
-            let count = 0;
+    const filter = designFilter(interpolation, decimation, QUALITY_PRESETS[quality]);
 
-            let total = 0;
+    /* Calculate the number of frames to write, splitting the product to keep it within integer precision */
 
-            let position = 0;
+    const numberOfFramesToWrite = Math.floor(numberOfFramesInInput / decimation) * interpolation + Math.floor(numberOfFramesInInput % decimation * interpolation / decimation);
 
-            let numberOfSamplesWritten = 0;
+    /* Read the GUANO and any other chunks which follow the data */
 
-            /* Reset to end of header */
+    let guano = null;
 
-            fs.readSync(fi, headerBuffer, 0, header.size, null);
+    let trailingChunks = [];
 
-            /* Read first value */
+    if (originalDataSize + originalHeaderSize < fileSize || header.guano) {
 
-            fs.readSync(fi, inputBuffer, 0, FILE_BUFFER_SIZE, null);
+        const numberOfBytes = Math.min(fileSize - originalHeaderSize - originalDataSize, HEADER_BUFFER_SIZE);
 
-            let nextSample = readInt16(inputBuffer, 0);
+        try {
 
-            let numberOfSamplesRead = 1;
+            /* Read end of file into the buffer */
 
-            /* Main loop */
+            const numberOfBytesRead = yield ioHandler.read(fi, inputBuffer, 0, numberOfBytes, originalDataSize + originalHeaderSize);
+
+            if (numberOfBytesRead === numberOfBytes) {
 
-            while (numberOfSamplesWritten < numberOfSamplesToWrite) {
+                /* Parse the chunks */
 
-                /* Read next sample */
+                const trailer = wavHandler.readTrailer(header, inputBuffer, numberOfBytes);
 
-                const currentSample = nextSample;
+                guano = trailer.guano;
 
-                const numberOfSamplesInBuffer = numberOfSamplesRead % (FILE_BUFFER_SIZE / NUMBER_OF_BYTES_IN_SAMPLE);
+                trailingChunks = trailer.chunks;
 
-                if (numberOfSamplesInBuffer === 0) fs.readSync(fi, inputBuffer, 0, FILE_BUFFER_SIZE, null);
+            }
 
-                if (numberOfSamplesRead < numberOfSamplesInInput) {
+        } catch (e) {
 
-                    const index = numberOfSamplesInBuffer * NUMBER_OF_BYTES_IN_SAMPLE;
+            guano = null;
 
-                    nextSample = readInt16(inputBuffer, index);
+            trailingChunks = [];
 
-                }
+        }
+
+    }
+
+    /* Keep any GUANO sample rate field in step with the new sample rate */
+
+    if (guano) {
+
+        const fields = guanoHandler.parseGuano(guano.contents);
 
-                numberOfSamplesRead += 1;
+        if (fields.Samplerate !== undefined) {
 
-                /* Interpolate until a new sample is required */
+            fields.Samplerate = requestedSampleRate;
 
-                while (position < 1.0 && numberOfSamplesWritten < numberOfSamplesToWrite) {
+            guanoHandler.updateContents(guano, guanoHandler.serialiseGuano(fields));
 
-                    const interpolatedSample = currentSample + position * (nextSample - currentSample);
+        }
 
-                    total += interpolatedSample;
+    }
 
-                    count += 1;
+    let fo;
 
-                    /* Write a new output sample */
+    let progress = 0;
 
-                    if (count === sampleRateDivider) {
+    try {
 
-                        let value = total / sampleRateDivider;
+        /* Open the output file */
 
-                        value = Math.sign(value) * Math.round(Math.abs(value));
+        fo = yield ioHandler.open(path.join(outputPath, outputFilename), 'w');
 
-                        value = Math.max(INT16_MIN, Math.min(INT16_MAX, value));
+        /* Write the header */
 
-                        const numberOfSamplesInBuffer = numberOfSamplesWritten % (FILE_BUFFER_SIZE / NUMBER_OF_BYTES_IN_SAMPLE);
+        wavHandler.updateSizes(header, guano, numberOfFramesToWrite * numberOfBytesInFrame, trailingChunks);
 
-                        const index = numberOfSamplesInBuffer * NUMBER_OF_BYTES_IN_SAMPLE;
+        wavHandler.updateSampleRate(header, requestedSampleRate);
 
-                        writeInt16(outputBuffer, index, value);
+        wavHandler.writeHeader(headerBuffer, header);
 
-                        if (index === FILE_BUFFER_SIZE - NUMBER_OF_BYTES_IN_SAMPLE) fs.writeSync(fo, outputBuffer, 0, FILE_BUFFER_SIZE, null);
+        yield ioHandler.write(fo, headerBuffer, 0, wavHandler.getHeaderSize(header), null);
 
-                        numberOfSamplesWritten += 1;
+        /* Write the data */
 
-                        total = 0;
+        if (numberOfFramesToWrite > 0) {
 
-                        count = 0;
+            /* Keep the most recent input frames of each channel in a circular history long enough to hold every tap */
 
-                    }
+            let historySize = 1;
 
-                    position += step;
+            while (historySize < filter.numberOfTaps) historySize *= 2;
 
-                    /* Update progress */
+            const historyMask = historySize - 1;
 
-                    const nextProgress = Math.round(100 * numberOfSamplesWritten / numberOfSamplesToWrite);
+            const history = [];
 
-                    if (nextProgress > progress) {
+            for (let channel = 0; channel < numberOfChannels; channel += 1) history.push(new Float64Array(historySize));
 
-                        progress = nextProgress;
+            const halfNumberOfTaps = filter.numberOfTaps / 2;
 
-                        if (callback) callback(progress);
+            const lastFrame = numberOfFramesInInput - 1;
 
-                    }
+            let centre = 0;
+
+            let phase = 0;
+
+            let numberOfFramesRead = 0;
+
+            let numberOfFramesWritten = 0;
+
+            /* Reset to end of header */
+
+            yield ioHandler.read(fi, headerBuffer, 0, header.size, null);
+
+            /* Main loop */
+
+            while (numberOfFramesWritten < numberOfFramesToWrite) {
+
+                /* Read frames until the history holds every frame under the filter, holding the first and last frames beyond the ends of the file */
+
+                const firstFrameNeeded = centre - halfNumberOfTaps + 1;
+
+                const lastFrameNeeded = Math.min(lastFrame, centre + halfNumberOfTaps);
+
+                while (numberOfFramesRead <= lastFrameNeeded) {
+
+                    const numberOfFramesInInputBuffer = numberOfFramesRead % numberOfFramesInBuffer;
+
+                    if (numberOfFramesInInputBuffer === 0) yield ioHandler.read(fi, inputBuffer, 0, frameBufferSize, null);
+
+                    const index = numberOfFramesInInputBuffer * numberOfBytesInFrame;
+
+                    for (let channel = 0; channel < numberOfChannels; channel += 1) history[channel][numberOfFramesRead & historyMask] = sampleCodec.read(inputBuffer, index + channel * numberOfBytesInSample);
+
+                    numberOfFramesRead += 1;
 
                 }
 
-                position -= 1.0;
+                /* Apply the filter phase for this output frame */
 
-            }
+                const taps = getTaps(filter, phase, interpolation);
 
-            const numberOfSamplesInBuffer = numberOfSamplesWritten % (FILE_BUFFER_SIZE / NUMBER_OF_BYTES_IN_SAMPLE);
+                const numberOfFramesInOutputBuffer = numberOfFramesWritten % numberOfFramesInBuffer;
 
-            if (numberOfSamplesInBuffer > 0) fs.writeSync(fo, outputBuffer, 0, numberOfSamplesInBuffer * NUMBER_OF_BYTES_IN_SAMPLE, null);
+                const index = numberOfFramesInOutputBuffer * numberOfBytesInFrame;
 
-        }
+                for (let channel = 0; channel < numberOfChannels; channel += 1) {
 
-        /* Read the GUANO if present */
+                    const samples = history[channel];
 
-        if (originalDataSize + originalHeaderSize < fileSize) {
+                    let value = 0;
 
-            const numberOfBytes = Math.min(fileSize - originalHeaderSize - originalDataSize, HEADER_BUFFER_SIZE);
+                    for (let k = 0; k < filter.numberOfTaps; k += 1) {
 
-            /* Read end of file into the buffer */
+                        const frame = Math.min(lastFrame, Math.max(0, firstFrameNeeded + k));
 
-            const numberOfBytesRead = fs.readSync(fi, inputBuffer, 0, numberOfBytes, originalDataSize + originalHeaderSize);
+                        value += taps[k] * samples[frame & historyMask];
 
-            if (numberOfBytesRead === numberOfBytes) {
+                    }
 
-                /* Parse the GUANO header */
+                    if (sampleCodec.integer) value = Math.sign(value) * Math.round(Math.abs(value));
 
-                const guanoCheck = guanoHandler.readGuano(inputBuffer, numberOfBytes);
+                    value = Math.max(sampleCodec.minimum, Math.min(sampleCodec.maximum, value));
 
-                if (guanoCheck.success) {
+                    sampleCodec.write(outputBuffer, index + channel * numberOfBytesInSample, value);
 
-                    const guano = guanoCheck.guano;
+                }
+
+                if (index === frameBufferSize - numberOfBytesInFrame) yield ioHandler.write(fo, outputBuffer, 0, frameBufferSize, null);
+
+                numberOfFramesWritten += 1;
 
-                    /* Write the GUANO */
+                /* Move to the input position of the next output frame */
 
-                    guanoHandler.writeGuano(outputBuffer, guano);
+                phase += decimation;
 
-                    fs.writeSync(fo, outputBuffer, 0, guano.size, null);
+                centre += Math.floor(phase / interpolation);
 
-                    /* Update the header */
+                phase %= interpolation;
 
-                    wavHandler.updateSizes(header, guano, numberOfSamplesToWrite * NUMBER_OF_BYTES_IN_SAMPLE);
+                /* Update progress */
 
-                    wavHandler.writeHeader(headerBuffer, header);
+                const nextProgress = Math.round(100 * numberOfFramesWritten / numberOfFramesToWrite);
 
-                    fs.writeSync(fo, headerBuffer, 0, header.size, 0);
+                if (nextProgress > progress) {
+
+                    progress = nextProgress;
+
+                    if (callback) callback(progress);
 
                 }
 
             }
 
+            const numberOfFramesInOutputBuffer = numberOfFramesWritten % numberOfFramesInBuffer;
+
+            if (numberOfFramesInOutputBuffer > 0) yield ioHandler.write(fo, outputBuffer, 0, numberOfFramesInOutputBuffer * numberOfBytesInFrame, null);
+
+        }
+
+        /* Write any other chunks which followed the data and then the GUANO */
+
+        const numberOfTrailingBytes = wavHandler.writeTrailingChunks(outputBuffer, header, trailingChunks);
+
+        if (numberOfTrailingBytes > 0) yield ioHandler.write(fo, outputBuffer, 0, numberOfTrailingBytes, null);
+
+        if (guano) {
+
+            guanoHandler.writeGuano(outputBuffer, guano);
+
+            yield ioHandler.write(fo, outputBuffer, 0, guano.size, null);
+
         }
 
     } catch (e) {
 
         return {
             success: false,
+            code: 'E_DOWNSAMPLE_FAILED',
             error: 'An error occurred while downsampling the file. '
         };
 
@@ -435,9 +674,9 @@ function downsample (inputPath, outputPath, prefix, requestedSampleRate, callbac
 
     /* Close the input and output files */
 
-    fs.closeSync(fi);
+    yield ioHandler.close(fi);
 
-    fs.closeSync(fo);
+    yield ioHandler.close(fo);
 
     /* Return success */
 
@@ -448,6 +687,37 @@ function downsample (inputPath, outputPath, prefix, requestedSampleRate, callbac
 
 }
 
+/* Run downsample synchronously or asynchronously. The options may include an AbortSignal to cancel the operation */
+
+function downsample (inputPath, outputPath, prefix, requestedSampleRate, callback, options) {
+
+    return ioHandler.runSync(resampleOperation(inputPath, outputPath, prefix, requestedSampleRate, true, callback, options || {}), options && options.signal);
+
+}
+
+function downsampleAsync (inputPath, outputPath, prefix, requestedSampleRate, callback, options) {
+
+    return ioHandler.runAsync(resampleOperation(inputPath, outputPath, prefix, requestedSampleRate, true, callback, options || {}), options && options.signal);
+
+}
+
+/* Run resample synchronously or asynchronously */
+
+function resample (inputPath, outputPath, prefix, requestedSampleRate, callback, options) {
+
+    return ioHandler.runSync(resampleOperation(inputPath, outputPath, prefix, requestedSampleRate, false, callback, options || {}), options && options.signal);
+
+}
+
+function resampleAsync (inputPath, outputPath, prefix, requestedSampleRate, callback, options) {
+
+    return ioHandler.runAsync(resampleOperation(inputPath, outputPath, prefix, requestedSampleRate, false, callback, options || {}), options && options.signal);
+
+}
+
 /* Exports */
 
 exports.downsample = downsample;
+exports.downsampleAsync = downsampleAsync;
+exports.resample = resample;
+exports.resampleAsync = resampleAsync;
@@ -0,0 +1,149 @@
+/****************************************************************************
+ * errorCodes.js
+ * openacousticdevices.info
+ * October 2026
+ *****************************************************************************/
+
+'use strict';
+
+/* Catalog of the codes returned in the code field of a failed result. The error field of the result holds the message for display */
+
+const ERROR_CODES = {
+
+    /* Parameters */
+
+    E_ARGUMENTS_INVALID: 'Arguments are not valid.',
+    E_PREFIX_INVALID: 'Filename prefix is not a string.',
+    E_TEMPLATE_INVALID: 'Filename template is not valid.',
+    E_TIMEZONE_INVALID: 'Time zone is not valid.',
+    E_DURATION_NOT_INTEGER: 'Maximum file duration is not an integer.',
+    E_DURATION_NOT_POSITIVE: 'Maximum file duration is not greater than zero.',
+    E_RANGES_INVALID: 'Ranges are not an array or the path of a CSV file.',
+    E_OVERLAP_INVALID: 'Overlap is not a whole number of seconds less than the maximum file duration.',
+    E_EXPANSION_TYPE_INVALID: 'Expansion type is not DURATION or EVENT.',
+    E_SILENT_FILES_FLAG_INVALID: 'Generate silent files flag is not a boolean.',
+    E_ALIGN_FLAG_INVALID: 'Align to second transitions flag is not a boolean.',
+    E_SAMPLE_RATE_NOT_NUMBER: 'Requested sample rate is not a number.',
+    E_SAMPLE_RATE_INVALID: 'Requested sample rate is not a whole number of hertz within the supported range.',
+    E_SAMPLE_RATE_TOO_HIGH: 'Requested sample rate is greater than the original sample rate.',
+    E_QUALITY_INVALID: 'Quality is not one of the anti-aliasing filter presets.',
+    E_FILTER_SETTINGS_INVALID: 'Filter settings are not an object.',
+    E_FILTER_TYPE_INVALID: 'Filter type is not LOW_PASS, HIGH_PASS or BAND_PASS.',
+    E_FILTER_CUTOFF_INVALID: 'Filter cutoffs are not valid frequencies below half the sample rate.',
+    E_FILTER_ORDER_INVALID: 'Filter order is not a whole number within the supported range.',
+    E_ZERO_PHASE_FLAG_INVALID: 'Zero phase flag is not a boolean.',
+    E_LEVEL_SETTINGS_INVALID: 'Level settings are not an object.',
+    E_LEVEL_TYPE_INVALID: 'Level type is not GAIN, PEAK, RMS or DC.',
+    E_GAIN_INVALID: 'Gain is not a number of decibels.',
+    E_TARGET_LEVEL_INVALID: 'Target level is not a number of decibels no greater than zero.',
+    E_INPUT_PATHS_INVALID: 'Input paths are not an array of at least two file paths.',
+    E_FILL_GAPS_FLAG_INVALID: 'Fill gaps flag is not a boolean.',
+    E_ALLOW_OVERLAPS_FLAG_INVALID: 'Allow overlaps flag is not a boolean.',
+    E_RESAMPLE_RATE_TOO_LOW: 'Resample rate is less than the original sample rate.',
+    E_OPERATION_TYPE_INVALID: 'Operation type is not valid.',
+    E_OPERATION_INVALID: 'Operation is not a function.',
+    E_GUANO_FIELDS_INVALID: 'GUANO fields are not an object.',
+
+    /* Input and output files */
+
+    E_INPUT_OPEN: 'Input file could not be opened.',
+    E_INPUT_SIZE_READ: 'Input file size could not be read.',
+    E_INPUT_EMPTY: 'Input file has zero size.',
+    E_INPUT_READ: 'Input file could not be read.',
+    E_INPUT_NOT_DIRECTORY: 'Input path is not a directory.',
+    E_INPUT_FOLDER_NOT_FOUND: 'Input folder could not be found.',
+    E_INPUT_FOLDER_READ: 'Input folder could not be read.',
+    E_DESTINATION_NOT_DIRECTORY: 'Destination path is not a directory.',
+    E_OUTPUT_FOLDER_CREATE: 'Output folder could not be created.',
+    E_OUTPUT_WRITE: 'Output file could not be written.',
+    E_OUTPUT_IS_INPUT: 'Output file would overwrite the input file.',
+    E_OUTPUT_NAME_DUPLICATE: 'Output file name is not unique.',
+    E_RECORDINGS_OVERLAP: 'Input recordings overlap in time.',
+
+    /* WAV header */
+
+    E_HEADER_READ: 'WAV header could not be read.',
+    E_HEADER_INVALID: 'WAV header could not be parsed.',
+    E_RIFF_SIZE_MISMATCH: 'RIFF chunk size does not match the file size.',
+    E_WAVE_FORMAT_UNEXPECTED: 'WAVE format is not the expected format.',
+    E_WAVE_FORMAT_UNSUPPORTED: 'WAV format is not supported by the operation.',
+    E_LIST_SIZE_MISMATCH: 'LIST chunk size does not match the size of its contents.',
+    E_DATA_SIZE_EXCEEDS_FILE: 'DATA chunk size exceeds the file size.',
+    E_HEADER_TIMESTAMP_MISSING: 'WAV header comment does not contain a timestamp.',
+    E_HEADER_TIMEZONE_MISSING: 'WAV header comment does not contain a timezone.',
+
+    /* GUANO */
+
+    E_GUANO_INVALID: 'GUANO chunk could not be parsed.',
+    E_GUANO_SIZE_EXCEEDS_BUFFER: 'GUANO chunk size exceeds the buffer size.',
+
+    /* GUANO validation issues. These are returned in the issues list of a successful validation */
+
+    E_GUANO_MISSING: 'File does not contain a GUANO chunk.',
+    E_GUANO_DUPLICATE: 'File contains more than one GUANO chunk.',
+    E_GUANO_TRUNCATED: 'GUANO chunk size exceeds the end of the file.',
+    E_GUANO_NOT_LAST: 'GUANO chunk is not the last chunk in the file.',
+    E_GUANO_UTF8_INVALID: 'GUANO contents are not valid UTF-8.',
+    E_GUANO_LINE_INVALID: 'GUANO line is not a field name and value separated by a colon.',
+    E_GUANO_VERSION_MISSING: 'GUANO|Version field is missing.',
+    E_GUANO_VERSION_NOT_FIRST: 'GUANO|Version is not the first field.',
+    E_GUANO_VERSION_UNSUPPORTED: 'GUANO version is not 1.0.',
+    E_GUANO_TIMESTAMP_INVALID: 'GUANO Timestamp is not a valid ISO 8601 timestamp.',
+    E_GUANO_POSITION_INVALID: 'GUANO Loc Position is not a valid latitude and longitude.',
+    E_GUANO_NUMBER_INVALID: 'GUANO numeric field is not a number.',
+
+    /* File names */
+
+    E_FILENAME_INVALID: 'File name is not valid.',
+    E_FILENAME_DEVICE_ID_MISMATCH: 'Device ID in the WAV header does not match the file name.',
+    E_FILENAME_TIMESTAMP_MISMATCH: 'Timestamp in the WAV header does not match the file name.',
+
+    /* CSV files */
+
+    E_CSV_NOT_FOUND: 'CSV file could not be found.',
+    E_CSV_OPEN: 'CSV file could not be opened.',
+    E_CSV_SIZE_READ: 'CSV file size could not be read.',
+    E_CSV_EMPTY: 'CSV file has zero size.',
+    E_CSV_READ: 'CSV file could not be read.',
+    E_CSV_PARSE: 'CSV file could not be parsed.',
+    E_CSV_COLUMN_MISSING: 'CSV file does not contain an expected column.',
+    E_CSV_ROW_INVALID: 'CSV file contains a row which could not be parsed.',
+    E_CSV_TIMESTAMP_MISMATCH: 'CSV file timestamp does not match the WAV file.',
+    E_CSV_BUFFER_OVERFLOW: 'CSV file shows evidence of a recording buffer overflow.',
+    E_CSV_PPS_INSUFFICIENT: 'CSV file does not contain at least two PPS events.',
+    E_CSV_PPS_MISSING: 'CSV file has a missing PPS event.',
+    E_CSV_PPS_MISALIGNED: 'CSV file has a misaligned PPS event.',
+    E_CSV_PPS_PARSE: 'PPS events in the CSV file could not be parsed.',
+    E_CSV_PPS_NO_VALID_INTERVALS: 'CSV file does not contain any valid intervals between PPS events.',
+    E_CSV_SAMPLE_COUNT_UNUSUAL: 'CSV file has an unusual sample count between PPS events.',
+
+    /* GPS.TXT files */
+
+    E_GPS_OPEN: 'GPS.TXT file could not be opened.',
+    E_GPS_SIZE_READ: 'GPS.TXT file size could not be read.',
+    E_GPS_EMPTY: 'GPS.TXT file has zero size.',
+    E_GPS_PARSE: 'GPS.TXT file could not be parsed.',
+    E_GPS_INSUFFICIENT_FIXES: 'GPS.TXT file has insufficient fixes to estimate clock drift.',
+    E_RECORDING_BEFORE_FIRST_FIX: 'Recording is before the first GPS fix.',
+    E_RECORDING_AFTER_LAST_FIX: 'Recording is after the last GPS fix.',
+    E_RECORDING_AT_GPS_FIX: 'Recording has the same time as a GPS fix.',
+    E_SAMPLE_RATE_MISMATCH: 'Sample rate does not match the expected sample rate.',
+
+    /* Processing */
+
+    E_SPLIT_FAILED: 'An error occurred while splitting the file.',
+    E_EXPAND_FAILED: 'An error occurred while expanding the file.',
+    E_DOWNSAMPLE_FAILED: 'An error occurred while downsampling the file.',
+    E_FILTER_FAILED: 'An error occurred while filtering the file.',
+    E_LEVEL_FAILED: 'An error occurred while adjusting the level of the file.',
+    E_MERGE_FAILED: 'An error occurred while merging the files.',
+    E_REPAIR_FAILED: 'An error occurred while repairing the file.',
+    E_GUANO_EDIT_FAILED: 'An error occurred while editing the GUANO.',
+    E_OPERATION_FAILED: 'An error occurred while running the operation.',
+    E_CANCELLED: 'The operation was cancelled.'
+
+};
+
+/* Exports */
+
+exports.ERROR_CODES = ERROR_CODES;
@@ -6,9 +6,9 @@
 
 'use strict';
 
-const fs = require('fs');
 const path = require('path');
 
+const ioHandler = require('./ioHandler.js');
 const wavHandler = require('./wavHandler.js');
 const guanoHandler = require('./guanoHandler.js');
 const filenameHandler = require('./filenameHandler.js');
@@ -37,16 +37,10 @@ const SECONDS_IN_DAY = 24 * 60 * 60;
 
 const MILLISECONDS_IN_SECOND = 1000;
 
-const TIMESTAMP_REGEX = /\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d/;
-
-/* Buffers for reading data */
-
-const fileBuffer = Buffer.alloc(FILE_BUFFER_SIZE);
+/* Buffer for writing silence */
 
 const blankBuffer = Buffer.alloc(FILE_BUFFER_SIZE);
 
-const headerBuffer = Buffer.alloc(HEADER_BUFFER_SIZE);
-
 /* Check for silent buffer */
 
 function isFullOfZeros (buffer, length) {
@@ -131,21 +125,9 @@ function formatFilename (timestamp, milliseconds) {
 
 }
 
-function formatTimestamp (timestamp, milliseconds) {
-
-    const date = new Date(timestamp);
-
-    let string = date.getUTCFullYear() + '-' + digits(date.getUTCMonth() + 1, 2) + '-' + digits(date.getUTCDate(), 2) + 'T' + digits(date.getUTCHours(), 2) + ':' + digits(date.getUTCMinutes(), 2) + ':' + digits(date.getUTCSeconds(), 2);
-
-    if (milliseconds) string += '.' + digits(date.getUTCMilliseconds(), 3);
-
-    return string;
-
-}
-
 /* Write the output file */
 
-function writeOutputFile (fi, fileSummary, outputPath, header, guano, comment, contents, offset, length, callback) {
+function * writeOutputFile (fi, fileSummary, outputPath, header, guano, comment, contents, offset, length, headerBuffer, fileBuffer, callback) {
 
     if (DEBUG) {
 
@@ -163,7 +145,7 @@ function writeOutputFile (fi, fileSummary, outputPath, header, guano, comment, c
 
     }
 
-    const fo = fs.openSync(outputPath, 'w');
+    const fo = yield ioHandler.open(outputPath, 'w');
 
     /* Update WAV header and GUANO */
 
@@ -177,7 +159,7 @@ function writeOutputFile (fi, fileSummary, outputPath, header, guano, comment, c
 
     wavHandler.writeHeader(headerBuffer, header);
 
-    fs.writeSync(fo, headerBuffer, 0, header.size, null);
+    yield ioHandler.write(fo, headerBuffer, 0, wavHandler.getHeaderSize(header), null);
 
     /* Write the data */
 
@@ -207,13 +189,13 @@ function writeOutputFile (fi, fileSummary, outputPath, header, guano, comment, c
 
         if (fileSummary[i].type === 'AUDIO') {
 
-            fs.readSync(fi, fileBuffer, 0, numberOfBytes, header.size + index - fileSummary[i].outputOffset + fileSummary[i].inputOffset);
+            yield ioHandler.read(fi, fileBuffer, 0, numberOfBytes, header.size + index - fileSummary[i].outputOffset + fileSummary[i].inputOffset);
 
-            fs.writeSync(fo, fileBuffer, 0, numberOfBytes, null);
+            yield ioHandler.write(fo, fileBuffer, 0, numberOfBytes, null);
 
         } else {
 
-            fs.writeSync(fo, blankBuffer, 0, numberOfBytes, null);
+            yield ioHandler.write(fo, blankBuffer, 0, numberOfBytes, null);
 
         }
 
@@ -235,19 +217,19 @@ function writeOutputFile (fi, fileSummary, outputPath, header, guano, comment, c
 
         guanoHandler.writeGuano(fileBuffer, guano);
 
-        fs.writeSync(fo, fileBuffer, 0, guano.size, null);
+        yield ioHandler.write(fo, fileBuffer, 0, guano.size, null);
 
     }
 
     /* Close the output file */
 
-    fs.closeSync(fo);
+    yield ioHandler.close(fo);
 
 }
 
 /* Expand a T.WAV file */
 
-function expand (inputPath, outputPath, prefix, expansionType, maximumFileDuration, generateSilentFiles, alignToSecondTransitions, callback) {
+function * expandOperation (inputPath, outputPath, prefix, expansionType, maximumFileDuration, generateSilentFiles, alignToSecondTransitions, callback, options) {
 
     /* Check parameter */
 
@@ -263,6 +245,7 @@ function expand (inputPath, outputPath, prefix, expansionType, maximumFileDurati
 
         return {
             success: false,
+            code: 'E_DURATION_NOT_INTEGER',
             error: 'Maximum file duration must be an integer.'
         };
 
@@ -272,6 +255,7 @@ function expand (inputPath, outputPath, prefix, expansionType, maximumFileDurati
 
         return {
             success: false,
+            code: 'E_DURATION_NOT_POSITIVE',
             error: 'Maximum file duration must be greater than zero.'
         };
 
@@ -281,6 +265,7 @@ function expand (inputPath, outputPath, prefix, expansionType, maximumFileDurati
 
         return {
             success: false,
+            code: 'E_EXPANSION_TYPE_INVALID',
             error: 'Expansion type must be DURATION or EVENT.'
         };
 
@@ -290,6 +275,7 @@ function expand (inputPath, outputPath, prefix, expansionType, maximumFileDurati
 
         return {
             success: false,
+            code: 'E_SILENT_FILES_FLAG_INVALID',
             error: 'Generate silent files flag must be a boolean.'
         };
 
@@ -299,6 +285,7 @@ function expand (inputPath, outputPath, prefix, expansionType, maximumFileDurati
 
         return {
             success: false,
+            code: 'E_ALIGN_FLAG_INVALID',
             error: 'Align to second transitions flag must be a boolean.'
         };
 
@@ -308,23 +295,45 @@ function expand (inputPath, outputPath, prefix, expansionType, maximumFileDurati
 
         return {
             success: false,
+            code: 'E_PREFIX_INVALID',
             error: 'Filename prefix must be a string.'
         };
 
     }
 
+    if (options.template !== undefined && filenameHandler.checkTemplate(options.template) === false) {
+
+        return {
+            success: false,
+            code: 'E_TEMPLATE_INVALID',
+            error: 'Filename template is not valid.'
+        };
+
+    }
+
+    if (options.timezone !== undefined && filenameHandler.checkTimezone(options.timezone) === false) {
+
+        return {
+            success: false,
+            code: 'E_TIMEZONE_INVALID',
+            error: 'Time zone is not valid.'
+        };
+
+    }
+
     /* Open input file */
 
     let fi;
 
     try {
 
-        fi = fs.openSync(inputPath, 'r');
+        fi = yield ioHandler.open(inputPath, 'r');
 
     } catch (e) {
 
         return {
             success: false,
+            code: 'E_INPUT_OPEN',
             error: 'Could not open input file.'
         };
 
@@ -334,10 +343,11 @@ function expand (inputPath, outputPath, prefix, expansionType, maximumFileDurati
 
     outputPath = outputPath || path.parse(inputPath).dir;
 
-    if (fs.lstatSync(outputPath).isDirectory() === false) {
+    if ((yield ioHandler.lstat(outputPath)).isDirectory() === false) {
 
         return {
             success: false,
+            code: 'E_DESTINATION_NOT_DIRECTORY',
             error: 'Destination path is not a directory.'
         };
 
@@ -349,12 +359,13 @@ function expand (inputPath, outputPath, prefix, expansionType, maximumFileDurati
 
     try {
 
-        fileSize = fs.statSync(inputPath).size;
+        fileSize = (yield ioHandler.stat(inputPath)).size;
 
     } catch (e) {
 
         return {
             success: false,
+            code: 'E_INPUT_SIZE_READ',
             error: 'Could not read input file size.'
         };
 
@@ -364,21 +375,29 @@ function expand (inputPath, outputPath, prefix, expansionType, maximumFileDurati
 
         return {
             success: false,
+            code: 'E_INPUT_EMPTY',
             error: 'Input file has zero size.'
         };
 
     }
 
+    /* Allocate buffers for reading data */
+
+    const fileBuffer = Buffer.alloc(FILE_BUFFER_SIZE);
+
+    const headerBuffer = Buffer.alloc(HEADER_BUFFER_SIZE);
+
     /* Read the header */
 
     try {
 
-        fs.readSync(fi, headerBuffer, 0, FILE_BUFFER_SIZE, 0);
+        yield ioHandler.read(fi, headerBuffer, 0, FILE_BUFFER_SIZE, 0);
 
     } catch (e) {
 
         return {
             success: false,
+            code: 'E_HEADER_READ',
             error: 'Could not read the input WAV header.'
         };
 
@@ -394,6 +413,12 @@ function expand (inputPath, outputPath, prefix, expansionType, maximumFileDurati
 
     const header = headerCheck.header;
 
+    /* Check the WAV format is the 16-bit mono PCM recorded by AudioMoth */
+
+    const formatCheck = wavHandler.checkAudioMothFormat(header);
+
+    if (formatCheck.success === false) return formatCheck;
+
     /* Check the filename against header */
 
     const inputFilename = path.parse(inputPath).base;
@@ -408,6 +433,16 @@ function expand (inputPath, outputPath, prefix, expansionType, maximumFileDurati
 
     const originalTimestamp = filenameCheck.originalTimestamp;
 
+    /* Values for the output filename template, if one is given */
+
+    const templateValues = {
+        prefix: prefix,
+        deviceID: header.iart.artist,
+        timezoneOffset: filenameCheck.timezoneOffset,
+        type: filenameHandler.EXPAND,
+        name: path.parse(inputPath).name
+    };
+
     /* Determine settings from the input file */
 
     const inputFileDataSize = header.data.size;
@@ -430,7 +465,7 @@ function expand (inputPath, outputPath, prefix, expansionType, maximumFileDurati
 
             const numberOfBytes = Math.min(inputFileDataSize, ENCODED_BLOCK_SIZE_IN_BYTES - header.size % ENCODED_BLOCK_SIZE_IN_BYTES);
 
-            const numberOfBytesRead = fs.readSync(fi, fileBuffer, 0, numberOfBytes, header.size);
+            const numberOfBytesRead = yield ioHandler.read(fi, fileBuffer, 0, numberOfBytes, header.size);
 
             if (numberOfBytesRead !== numberOfBytes) throw new Error('Could not read expected number of bytes.');
 
@@ -458,7 +493,7 @@ function expand (inputPath, outputPath, prefix, expansionType, maximumFileDurati
 
             const numberOfBytes = Math.min(inputFileDataSize - inputFileBytesRead, ENCODED_BLOCK_SIZE_IN_BYTES);
 
-            const numberOfBytesRead = fs.readSync(fi, fileBuffer, 0, numberOfBytes, inputFileBytesRead + header.size);
+            const numberOfBytesRead = yield ioHandler.read(fi, fileBuffer, 0, numberOfBytes, inputFileBytesRead + header.size);
 
             if (numberOfBytesRead !== numberOfBytes) throw new Error('Could not read expected number of bytes.');
 
@@ -539,6 +574,7 @@ function expand (inputPath, outputPath, prefix, expansionType, maximumFileDurati
 
         return {
             success: false,
+            code: 'E_EXPAND_FAILED',
             error: 'An error occurred while processing the input file. '
         };
 
@@ -718,9 +754,9 @@ function expand (inputPath, outputPath, prefix, expansionType, maximumFileDurati
 
     /* Read the GUANO if present */
 
-    let guano, contents;
+    let guano, fields;
 
-    if (inputFileDataSize + inputFileHeaderSize < fileSize) {
+    if (inputFileDataSize + inputFileHeaderSize < fileSize || header.guano) {
 
         const numberOfBytes = Math.min(fileSize - inputFileHeaderSize - inputFileDataSize, HEADER_BUFFER_SIZE);
 
@@ -728,19 +764,19 @@ function expand (inputPath, outputPath, prefix, expansionType, maximumFileDurati
 
             /* Read end of file into the buffer */
 
-            const numberOfBytesRead = fs.readSync(fi, fileBuffer, 0, numberOfBytes, inputFileDataSize + inputFileHeaderSize);
+            const numberOfBytesRead = yield ioHandler.read(fi, fileBuffer, 0, numberOfBytes, inputFileDataSize + inputFileHeaderSize);
 
             if (numberOfBytesRead === numberOfBytes) {
 
-                /* Parse the GUANO header */
+                /* Find the GUANO among the chunks which follow the data */
 
-                const guanoCheck = guanoHandler.readGuano(fileBuffer, numberOfBytes);
+                const trailer = wavHandler.readTrailer(header, fileBuffer, numberOfBytes);
 
-                if (guanoCheck.success) {
+                if (trailer.guano) {
 
-                    guano = guanoCheck.guano;
+                    guano = trailer.guano;
 
-                    contents = guano.contents;
+                    fields = guanoHandler.parseGuano(guano.contents);
 
                 }
 
@@ -750,19 +786,53 @@ function expand (inputPath, outputPath, prefix, expansionType, maximumFileDurati
 
             guano = null;
 
-            contents = null;
+            fields = null;
+
+        }
+
+    }
+
+    /* Name the output files, which must not overwrite each other or the input file */
+
+    const wholeFile = outputFileList.length === 1 && outputFileList[0].offset === 0 && outputFileList[0].length === totalOutputBytes;
+
+    const filenames = [];
+
+    for (let i = 0; i < outputFileList.length; i += 1) {
+
+        const outputTime = filenameHandler.convertTimestamp(wholeFile ? originalTimestamp : outputFileList[i].timestamp, filenameCheck.timezoneOffset, options.timezone);
+
+        const filename = options.template ? filenameHandler.formatTemplate(options.template, Object.assign({}, templateValues, {timestamp: outputTime.timestamp, timezoneOffset: outputTime.timezoneOffset, index: i + 1})) : (prefix === '' ? '' : prefix + '_') + existingPrefix + formatFilename(outputTime.timestamp, wholeFile ? false : outputFileList[i].milliseconds);
+
+        if (filenames.indexOf(filename) >= 0) {
+
+            return {
+                success: false,
+                code: 'E_OUTPUT_NAME_DUPLICATE',
+                error: 'More than one expanded file would be named ' + filename + '.'
+            };
+
+        }
+
+        if (path.resolve(outputPath, filename) === path.resolve(inputPath)) {
+
+            return {
+                success: false,
+                code: 'E_OUTPUT_IS_INPUT',
+                error: 'Expanded file ' + filename + ' would overwrite the input file.'
+            };
 
         }
 
+        filenames.push(filename);
+
     }
 
     /* Write the output files */
 
     try {
 
-        if (outputFileList.length === 1 && outputFileList[0].offset === 0 && outputFileList[0].length === totalOutputBytes) {
-
-            const filename = (prefix === '' ? '' : prefix + '_') + existingPrefix + formatFilename(originalTimestamp, false);
+        if (wholeFile) {
 
             const outputCallback = function (value) {
 
@@ -778,7 +848,7 @@ function expand (inputPath, outputPath, prefix, expansionType, maximumFileDurati
 
             };
 
-            writeOutputFile(fi, fileSummary, path.join(outputPath, filename), header, guano, null, null, 0, totalOutputBytes, outputCallback);
+            yield * writeOutputFile(fi, fileSummary, path.join(outputPath, filenames[0]), header, guano, null, null, 0, totalOutputBytes, headerBuffer, fileBuffer, outputCallback);
 
         } else {
 
@@ -786,9 +856,9 @@ function expand (inputPath, outputPath, prefix, expansionType, maximumFileDurati
 
                 const comment = 'Expanded from ' + path.basename(inputPath) + ' as file ' + (i + 1) + ' of ' + outputFileList.length + '.';
 
-                const filename = (prefix === '' ? '' : prefix + '_') + existingPrefix + formatFilename(outputFileList[i].timestamp, outputFileList[i].milliseconds);
+                if (fields) guanoHandler.updateTimestamp(fields, outputFileList[i].timestamp, outputFileList[i].milliseconds, filenameCheck.timezoneOffset);
 
-                const newContents = contents ? contents.replace(TIMESTAMP_REGEX, formatTimestamp(outputFileList[i].timestamp, outputFileList[i].milliseconds)) : null;
+                const newContents = fields ? guanoHandler.serialiseGuano(fields) : null;
 
                 const outputCallback = function (value) {
 
@@ -804,7 +874,7 @@ function expand (inputPath, outputPath, prefix, expansionType, maximumFileDurati
 
                 };
 
-                writeOutputFile(fi, fileSummary, path.join(outputPath, filename), header, guano, comment, newContents, outputFileList[i].offset, outputFileList[i].length, outputCallback);
+                yield * writeOutputFile(fi, fileSummary, path.join(outputPath, filenames[i]), header, guano, comment, newContents, outputFileList[i].offset, outputFileList[i].length, headerBuffer, fileBuffer, outputCallback);
 
             }
 
@@ -814,6 +884,7 @@ function expand (inputPath, outputPath, prefix, expansionType, maximumFileDurati
 
         return {
             success: false,
+            code: 'E_EXPAND_FAILED',
             error: 'An error occurred while processing the duration-based output files. '
         };
 
@@ -823,7 +894,7 @@ function expand (inputPath, outputPath, prefix, expansionType, maximumFileDurati
 
     /* Close the input file */
 
-    fs.closeSync(fi);
+    yield ioHandler.close(fi);
 
     /* Return success */
 
@@ -834,6 +905,21 @@ function expand (inputPath, outputPath, prefix, expansionType, maximumFileDurati
 
 }
 
+/* Run expand synchronously or asynchronously. The options may include an AbortSignal to cancel the operation */
+
+function expand (inputPath, outputPath, prefix, expansionType, maximumFileDuration, generateSilentFiles, alignToSecondTransitions, callback, options) {
+
+    return ioHandler.runSync(expandOperation(inputPath, outputPath, prefix, expansionType, maximumFileDuration, generateSilentFiles, alignToSecondTransitions, callback, options || {}), options && options.signal);
+
+}
+
+function expandAsync (inputPath, outputPath, prefix, expansionType, maximumFileDuration, generateSilentFiles, alignToSecondTransitions, callback, options) {
+
+    return ioHandler.runAsync(expandOperation(inputPath, outputPath, prefix, expansionType, maximumFileDuration, generateSilentFiles, alignToSecondTransitions, callback, options || {}), options && options.signal);
+
+}
+
 /* Exports */
 
 exports.expand = expand;
+exports.expandAsync = expandAsync;
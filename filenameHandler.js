@@ -28,6 +28,82 @@ const DOWNSAMPLE_TIMESTRING_REGEX = /(\d{8}_\d{6}_\d{3})\.WAV$/;
 
 const POSTFIX_REGEX = /_SYNC\.WAV$/;
 
+const TIMESTRING_REGEX = /^(\d{4})(\d\d)(\d\d)_(\d\d)(\d\d)(\d\d)(_(\d{3}))?$/;
+
+const TIMEZONE_REGEX = /\(UTC([-|+]\d+)?:?(\d\d)?\)/;
+
+/* Matches every AudioMoth naming variant as an optional prefix, optional device ID, optional date, time, triggered flag, milliseconds and SYNC postfix */
+
+const FILENAME_REGEX = /^(?:(.+?)_)??(?:([0-9A-F]{16})_)?(?:(\d{4})(\d\d)(\d\d)_)?(\d\d)(\d\d)(\d\d)(T)?(?:_(\d{3}))?(_SYNC)?\.WAV$/i;
+
+/* Output filename template constants */
+
+const OPERATION_NAMES = ['SPLIT', 'DOWNSAMPLE', 'EXPAND', 'SYNC'];
+
+const TEMPLATE_TOKEN_REGEX = /\{([A-Za-z]+)\}/g;
+
+const EMPTY_PREFIX_REGEX = /\{PREFIX\}[_\-]?|[_\-]\{PREFIX\}/g;
+
+const TEMPLATE_TOKENS = ['PREFIX', 'DEVICE', 'YYYY', 'MM', 'DD', 'hh', 'mm', 'ss', 'SSS', 'TZ', 'OP', 'INDEX', 'NAME'];
+
+const DEVICE_ID_PREFIX = 'AudioMoth ';
+
+/* Time constants */
+
+const MINUTES_IN_HOUR = 60;
+const HOURS_IN_DAY = 24;
+
+const MILLISECONDS_IN_MINUTE = 60 * 1000;
+
+const UTC = 'UTC';
+
+/* Private functions */
+
+function digits (value, number) {
+
+    const string = '00000' + value;
+
+    return string.substring(string.length - number, string.length);
+
+}
+
+function getTimezoneOffset (hoursMatch, minutesMatch) {
+
+    if (!hoursMatch) return 0;
+
+    const hours = parseInt(hoursMatch.replace('|', ''), 10);
+
+    const minutes = minutesMatch ? parseInt(minutesMatch, 10) : 0;
+
+    return (hoursMatch.includes('-') ? -1 : 1) * (Math.abs(hours) * MINUTES_IN_HOUR + minutes);
+
+}
+
+/* Find the offset in minutes of an IANA time zone at a UTC timestamp. Older versions of Node ignore the hourCycle option, and some give midnight as hour 24 when hour12 is false */
+
+function getZoneOffset (timezone, timestamp) {
+
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hour12: false,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(new Date(timestamp));
+
+    const values = {};
+
+    for (let i = 0; i < parts.length; i += 1) values[parts[i].type] = parseInt(parts[i].value, 10);
+
+    const localTime = Date.UTC(values.year, values.month - 1, values.day, values.hour % HOURS_IN_DAY, values.minute, values.second);
+
+    return Math.round((localTime - (timestamp - timestamp % 1000)) / MILLISECONDS_IN_MINUTE);
+
+}
+
 /* Public functions */
 
 function getFilenameRegex (type) {
@@ -46,6 +122,7 @@ function checkFilenameAgainstHeader (type, filename, comment, deviceID) {
 
         return {
             success: false,
+            code: 'E_FILENAME_INVALID',
             error: 'File name is not valid.'
         };
 
@@ -77,6 +154,7 @@ function checkFilenameAgainstHeader (type, filename, comment, deviceID) {
 
                 return {
                     success: false,
+                    code: 'E_FILENAME_DEVICE_ID_MISMATCH',
                     error: 'Device ID in the input WAV file header does not match the file name.'
                 };
 
@@ -94,12 +172,15 @@ function checkFilenameAgainstHeader (type, filename, comment, deviceID) {
 
     let originalTimestamp = null;
 
+    const timezoneOffset = DATE_REGEX.test(comment) ? getTimezoneOffset(DATE_REGEX.exec(comment)[7], DATE_REGEX.exec(comment)[8]) : 0;
+
     if (type === SPLIT || type === EXPAND || type === SYNC) {
 
         if (DATE_REGEX.test(comment) === false) {
 
             return {
                 success: false,
+                code: 'E_HEADER_TIMESTAMP_MISSING',
                 error: 'Cannot find timestamp in the input WAV file header.'
             };
 
@@ -113,6 +194,7 @@ function checkFilenameAgainstHeader (type, filename, comment, deviceID) {
 
             return {
                 success: false,
+                code: 'E_FILENAME_TIMESTAMP_MISMATCH',
                 error: 'Timestamp in the input WAV file header does not match the file name.'
             };
 
@@ -122,6 +204,16 @@ function checkFilenameAgainstHeader (type, filename, comment, deviceID) {
 
     }
 
+    /* Downsampled files are not checked against the comment so take the time from the file name */
+
+    if (type === DOWNSAMPLE) {
+
+        const timeMatches = originalTimestring.match(TIMESTRING_REGEX);
+
+        if (timeMatches) originalTimestamp = Date.UTC(timeMatches[1], timeMatches[2] - 1, timeMatches[3], timeMatches[4], timeMatches[5], timeMatches[6], timeMatches[8] ? timeMatches[8] : 0);
+
+    }
+
     /* Return success */
 
     return {
@@ -129,15 +221,217 @@ function checkFilenameAgainstHeader (type, filename, comment, deviceID) {
         existingPrefix: existingPrefix,
         existingPostfix: existingPostfix,
         originalTimestamp: originalTimestamp,
-        originalTimestring: originalTimestring
+        originalTimestring: originalTimestring,
+        timezoneOffset: timezoneOffset
+    };
+
+}
+
+/* Parse any AudioMoth file name. The timestamp is the local start time. File names without a date give the time since midnight */
+
+function parseFilename (filename) {
+
+    const matches = filename.match(FILENAME_REGEX);
+
+    const dateIncluded = matches !== null && matches[3] !== undefined;
+
+    const timestamp = matches === null ? null : Date.UTC(dateIncluded ? parseInt(matches[3], 10) : 1970, dateIncluded ? parseInt(matches[4], 10) - 1 : 0, dateIncluded ? parseInt(matches[5], 10) : 1, parseInt(matches[6], 10), parseInt(matches[7], 10), parseInt(matches[8], 10), matches[10] ? parseInt(matches[10], 10) : 0);
+
+    const date = new Date(timestamp);
+
+    if (matches === null || date.getUTCHours() !== parseInt(matches[6], 10) || date.getUTCMinutes() !== parseInt(matches[7], 10) || (dateIncluded && (date.getUTCMonth() !== parseInt(matches[4], 10) - 1 || date.getUTCDate() !== parseInt(matches[5], 10)))) {
+
+        return {
+            success: false,
+            code: 'E_FILENAME_INVALID',
+            error: 'File name is not valid.'
+        };
+
+    }
+
+    /* Operations which leave a mark on the file name. Splitting and downsampling keep the original name */
+
+    const operations = [];
+
+    if (matches[10]) operations.push(OPERATION_NAMES[EXPAND]);
+
+    if (matches[11]) operations.push(OPERATION_NAMES[SYNC]);
+
+    return {
+        success: true,
+        error: null,
+        prefix: matches[1] || '',
+        deviceID: matches[2] ? matches[2].toUpperCase() : null,
+        timestamp: timestamp,
+        dateIncluded: dateIncluded,
+        milliseconds: matches[10] !== undefined,
+        triggered: matches[9] !== undefined,
+        operations: operations
+    };
+
+}
+
+/* Format an AudioMoth file name from the fields returned by parseFilename */
+
+function formatFilename (fields) {
+
+    const date = new Date(fields.timestamp);
+
+    let filename = fields.prefix ? fields.prefix + '_' : '';
+
+    if (fields.deviceID) filename += fields.deviceID + '_';
+
+    if (fields.dateIncluded !== false) filename += date.getUTCFullYear() + digits(date.getUTCMonth() + 1, 2) + digits(date.getUTCDate(), 2) + '_';
+
+    filename += digits(date.getUTCHours(), 2) + digits(date.getUTCMinutes(), 2) + digits(date.getUTCSeconds(), 2);
+
+    if (fields.triggered) filename += 'T';
+
+    if (fields.milliseconds) filename += '_' + digits(date.getUTCMilliseconds(), 3);
+
+    if (fields.operations && fields.operations.indexOf(OPERATION_NAMES[SYNC]) >= 0) filename += '_SYNC';
+
+    return filename + '.WAV';
+
+}
+
+/* Parse the time zone offset in minutes from a WAV header comment, or null if it has none */
+
+function getHeaderTimezoneOffset (comment) {
+
+    const matches = comment.match(TIMEZONE_REGEX);
+
+    return matches ? getTimezoneOffset(matches[1], matches[2]) : null;
+
+}
+
+/* Parse the local start time of a recording from a WAV header comment, or null if it has none */
+
+function getHeaderTimestamp (comment) {
+
+    const matches = comment.match(DATE_REGEX);
+
+    if (matches === null) return null;
+
+    const timestamp = Date.UTC(parseInt(matches[6], 10), parseInt(matches[5], 10) - 1, parseInt(matches[4], 10), parseInt(matches[1], 10), parseInt(matches[2], 10), parseInt(matches[3], 10));
+
+    return {
+        timestamp: timestamp,
+        timezoneOffset: getTimezoneOffset(matches[7], matches[8])
+    };
+
+}
+
+/* Output file time zones. Without a time zone the output files keep the local time of the WAV header, otherwise they use UTC or an IANA time zone such as Europe/London */
+
+function checkTimezone (timezone) {
+
+    if (typeof timezone !== 'string' || timezone === '') return false;
+
+    if (timezone === UTC) return true;
+
+    try {
+
+        Intl.DateTimeFormat('en-US', {timeZone: timezone});
+
+    } catch (e) {
+
+        return false;
+
+    }
+
+    return true;
+
+}
+
+function convertTimestamp (timestamp, timezoneOffset, timezone) {
+
+    if (timezone === undefined || timezone === null) {
+
+        return {
+            timestamp: timestamp,
+            timezoneOffset: timezoneOffset
+        };
+
+    }
+
+    const utcTimestamp = timestamp - timezoneOffset * MILLISECONDS_IN_MINUTE;
+
+    const offset = timezone === UTC ? 0 : getZoneOffset(timezone, utcTimestamp);
+
+    return {
+        timestamp: utcTimestamp + offset * MILLISECONDS_IN_MINUTE,
+        timezoneOffset: offset
     };
 
 }
 
+/* Output filename templates. Tokens in braces are replaced by the corresponding part of the output file name */
+
+function checkTemplate (template) {
+
+    if (typeof template !== 'string' || template === '' || /[\\/]/.test(template)) return false;
+
+    const tokens = template.match(TEMPLATE_TOKEN_REGEX) || [];
+
+    for (let i = 0; i < tokens.length; i += 1) {
+
+        if (TEMPLATE_TOKENS.indexOf(tokens[i].substring(1, tokens[i].length - 1)) < 0) return false;
+
+    }
+
+    return true;
+
+}
+
+function formatTemplate (template, values) {
+
+    const date = new Date(values.timestamp);
+
+    const offset = values.timezoneOffset || 0;
+
+    const deviceID = values.deviceID || '';
+
+    const replacements = {
+        PREFIX: values.prefix || '',
+        DEVICE: deviceID.indexOf(DEVICE_ID_PREFIX) === 0 ? deviceID.substring(DEVICE_ID_PREFIX.length) : deviceID,
+        YYYY: String(date.getUTCFullYear()),
+        MM: digits(date.getUTCMonth() + 1, 2),
+        DD: digits(date.getUTCDate(), 2),
+        hh: digits(date.getUTCHours(), 2),
+        mm: digits(date.getUTCMinutes(), 2),
+        ss: digits(date.getUTCSeconds(), 2),
+        SSS: digits(date.getUTCMilliseconds(), 3),
+        TZ: (offset < 0 ? '-' : '+') + digits(Math.floor(Math.abs(offset) / MINUTES_IN_HOUR), 2) + digits(Math.abs(offset) % MINUTES_IN_HOUR, 2),
+        OP: OPERATION_NAMES[values.type],
+        INDEX: digits(values.index || 1, 3),
+        NAME: values.name || ''
+    };
+
+    /* An empty prefix takes one of its separators with it so the name does not start or end with a stray underscore */
+
+    if (replacements.PREFIX === '') template = template.replace(EMPTY_PREFIX_REGEX, '');
+
+    return template.replace(TEMPLATE_TOKEN_REGEX, function (match, token) {
+
+        return replacements[token];
+
+    });
+
+}
+
 /* Exports */
 
 exports.getFilenameRegex = getFilenameRegex;
 exports.checkFilenameAgainstHeader = checkFilenameAgainstHeader;
+exports.parseFilename = parseFilename;
+exports.formatFilename = formatFilename;
+exports.getHeaderTimezoneOffset = getHeaderTimezoneOffset;
+exports.getHeaderTimestamp = getHeaderTimestamp;
+exports.checkTimezone = checkTimezone;
+exports.convertTimestamp = convertTimestamp;
+exports.checkTemplate = checkTemplate;
+exports.formatTemplate = formatTemplate;
 
 exports.SPLIT = SPLIT;
 exports.DOWNSAMPLE = DOWNSAMPLE;
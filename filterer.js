@@ -0,0 +1,716 @@
+/****************************************************************************
+ * filterer.js
+ * openacousticdevices.info
+ * October 2026
+ *****************************************************************************/
+
+'use strict';
+
+const path = require('path');
+
+const ioHandler = require('./ioHandler.js');
+const wavHandler = require('./wavHandler.js');
+const guanoHandler = require('./guanoHandler.js');
+
+/* Filter settings constants */
+
+const FILTER_TYPES = ['LOW_PASS', 'HIGH_PASS', 'BAND_PASS'];
+
+const FILTER_DESCRIPTIONS = {
+    LOW_PASS: 'low-pass',
+    HIGH_PASS: 'high-pass',
+    BAND_PASS: 'band-pass'
+};
+
+const DEFAULT_ORDER = 4;
+
+const MAXIMUM_ORDER = 12;
+
+const HERTZ_IN_KILOHERTZ = 1000;
+
+/* GUANO keys for the filter settings */
+
+const GUANO_HIGH_PASS_KEY = 'Filter HP';
+
+const GUANO_LOW_PASS_KEY = 'Filter LP';
+
+const GUANO_FILTER_KEY = 'OAD|Filter';
+
+/* File buffer constants */
+
+const FILE_BUFFER_SIZE = 32 * 1024;
+
+const HEADER_BUFFER_SIZE = 32 * 1024;
+
+const NUMBER_OF_BYTES_IN_DOUBLE = 8;
+
+/* Extension of the temporary file holding the forward pass of a zero-phase filter */
+
+const TEMPORARY_EXTENSION = '.TMP';
+
+/* Design a Butterworth low-pass or high-pass filter as a cascade of biquad sections using the bilinear transform. An odd order adds a first order section */
+
+function designButterworth (type, cutoff, order, sampleRate) {
+
+    const k = Math.tan(Math.PI * cutoff / sampleRate);
+
+    const sections = [];
+
+    if (order % 2 === 1) {
+
+        const norm = 1 / (1 + k);
+
+        sections.push({
+            b0: type === 'LOW_PASS' ? k * norm : norm,
+            b1: type === 'LOW_PASS' ? k * norm : -norm,
+            b2: 0,
+            a1: (k - 1) * norm,
+            a2: 0
+        });
+
+    }
+
+    for (let i = 0; i < Math.floor(order / 2); i += 1) {
+
+        /* Each pair of analogue poles gives a section with damping 2 * sin(pi * (2i + 1) / 2N) */
+
+        const damping = 2 * Math.sin(Math.PI * (2 * i + 1) / (2 * order));
+
+        const norm = 1 / (1 + k * damping + k * k);
+
+        const b0 = type === 'LOW_PASS' ? k * k * norm : norm;
+
+        sections.push({
+            b0: b0,
+            b1: type === 'LOW_PASS' ? 2 * b0 : -2 * b0,
+            b2: b0,
+            a1: 2 * (k * k - 1) * norm,
+            a2: (1 - k * damping + k * k) * norm
+        });
+
+    }
+
+    return sections;
+
+}
+
+/* A band-pass filter is a high-pass filter at the lower cutoff followed by a low-pass filter at the upper cutoff */
+
+function designFilter (settings, sampleRate) {
+
+    if (settings.type === 'BAND_PASS') return designButterworth('HIGH_PASS', settings.cutoffs[0], settings.order, sampleRate).concat(designButterworth('LOW_PASS', settings.cutoffs[1], settings.order, sampleRate));
+
+    return designButterworth(settings.type, settings.cutoffs[0], settings.order, sampleRate);
+
+}
+
+/* Set the state of each section of a channel to the steady state for a constant input, so a DC offset at the start of the file does not cause a transient */
+
+function initialiseState (sections, state, offset, value) {
+
+    let x = value;
+
+    for (let i = 0; i < sections.length; i += 1) {
+
+        const section = sections[i];
+
+        const y = x * (section.b0 + section.b1 + section.b2) / (1 + section.a1 + section.a2);
+
+        const index = offset + 2 * i;
+
+        state[index + 1] = section.b2 * x - section.a2 * y;
+
+        state[index] = section.b1 * x - section.a1 * y + state[index + 1];
+
+        x = y;
+
+    }
+
+}
+
+/* Filter one sample through each section in transposed direct form II */
+
+function filterSample (sections, state, offset, value) {
+
+    let x = value;
+
+    for (let i = 0; i < sections.length; i += 1) {
+
+        const section = sections[i];
+
+        const index = offset + 2 * i;
+
+        const y = section.b0 * x + state[index];
+
+        state[index] = section.b1 * x - section.a1 * y + state[index + 1];
+
+        state[index + 1] = section.b2 * x - section.a2 * y;
+
+        x = y;
+
+    }
+
+    return x;
+
+}
+
+/* Describe the filter for the header comment and GUANO */
+
+function describeFilter (settings) {
+
+    let description = 'Butterworth ' + FILTER_DESCRIPTIONS[settings.type] + ' filter of order ' + settings.order;
+
+    description += settings.type === 'BAND_PASS' ? ' from ' + settings.cutoffs[0] + ' to ' + settings.cutoffs[1] + ' Hz' : ' at ' + settings.cutoffs[0] + ' Hz';
+
+    if (settings.zeroPhase) description += ' applied forwards and backwards for zero phase';
+
+    return description;
+
+}
+
+/* Check the filter settings, returning them with the cutoffs as an array and the default order filled in */
+
+function checkSettings (settings) {
+
+    if (settings === null || typeof settings !== 'object' || Array.isArray(settings)) {
+
+        return {
+            success: false,
+            code: 'E_FILTER_SETTINGS_INVALID',
+            error: 'Filter settings must be an object.'
+        };
+
+    }
+
+    if (FILTER_TYPES.indexOf(settings.type) < 0) {
+
+        return {
+            success: false,
+            code: 'E_FILTER_TYPE_INVALID',
+            error: 'Filter type must be one of ' + FILTER_TYPES.join(', ') + '.'
+        };
+
+    }
+
+    const cutoffs = Array.isArray(settings.cutoffs) ? settings.cutoffs : [settings.cutoffs];
+
+    const numberOfCutoffs = settings.type === 'BAND_PASS' ? 2 : 1;
+
+    let cutoffCheck = cutoffs.length === numberOfCutoffs;
+
+    for (let i = 0; i < cutoffs.length; i += 1) {
+
+        if (typeof cutoffs[i] !== 'number' || isFinite(cutoffs[i]) === false || cutoffs[i] <= 0) cutoffCheck = false;
+
+    }
+
+    if (cutoffCheck === false || (numberOfCutoffs === 2 && cutoffs[0] >= cutoffs[1])) {
+
+        return {
+            success: false,
+            code: 'E_FILTER_CUTOFF_INVALID',
+            error: numberOfCutoffs === 2 ? 'Band-pass filter cutoffs must be two increasing frequencies in hertz.' : 'Filter cutoff must be a frequency in hertz.'
+        };
+
+    }
+
+    const order = settings.order === undefined ? DEFAULT_ORDER : settings.order;
+
+    if (Number.isInteger(order) === false || order < 1 || order > MAXIMUM_ORDER) {
+
+        return {
+            success: false,
+            code: 'E_FILTER_ORDER_INVALID',
+            error: 'Filter order must be a whole number from 1 to ' + MAXIMUM_ORDER + '.'
+        };
+
+    }
+
+    if (settings.zeroPhase !== undefined && typeof settings.zeroPhase !== 'boolean') {
+
+        return {
+            success: false,
+            code: 'E_ZERO_PHASE_FLAG_INVALID',
+            error: 'Zero phase flag must be a boolean.'
+        };
+
+    }
+
+    return {
+        success: true,
+        error: null,
+        settings: {
+            type: settings.type,
+            cutoffs: cutoffs,
+            order: order,
+            zeroPhase: settings.zeroPhase === true
+        }
+    };
+
+}
+
+/* Filter a WAV file */
+
+function * filterOperation (inputPath, outputPath, prefix, settings, callback) {
+
+    /* Check parameters */
+
+    prefix = prefix || '';
+
+    if (typeof prefix !== 'string') {
+
+        return {
+            success: false,
+            code: 'E_PREFIX_INVALID',
+            error: 'Filename prefix must be a string.'
+        };
+
+    }
+
+    const settingsCheck = checkSettings(settings);
+
+    if (settingsCheck.success === false) return settingsCheck;
+
+    settings = settingsCheck.settings;
+
+    /* Open input file */
+
+    let fi;
+
+    try {
+
+        fi = yield ioHandler.open(inputPath, 'r');
+
+    } catch (e) {
+
+        return {
+            success: false,
+            code: 'E_INPUT_OPEN',
+            error: 'Could not open input file.'
+        };
+
+    }
+
+    /* Check the output path */
+
+    outputPath = outputPath || path.parse(inputPath).dir;
+
+    if ((yield ioHandler.lstat(outputPath)).isDirectory() === false) {
+
+        return {
+            success: false,
+            code: 'E_DESTINATION_NOT_DIRECTORY',
+            error: 'Destination path is not a directory.'
+        };
+
+    }
+
+    const outputFilePath = path.join(outputPath, (prefix === '' ? '' : prefix + '_') + path.basename(inputPath));
+
+    if (path.resolve(outputFilePath) === path.resolve(inputPath)) {
+
+        return {
+            success: false,
+            code: 'E_OUTPUT_IS_INPUT',
+            error: 'Filtered file would overwrite the input file.'
+        };
+
+    }
+
+    /* Find the input file size */
+
+    let fileSize;
+
+    try {
+
+        fileSize = (yield ioHandler.stat(inputPath)).size;
+
+    } catch (e) {
+
+        return {
+            success: false,
+            code: 'E_INPUT_SIZE_READ',
+            error: 'Could not read input file size.'
+        };
+
+    }
+
+    if (fileSize === 0) {
+
+        return {
+            success: false,
+            code: 'E_INPUT_EMPTY',
+            error: 'Input file has zero size.'
+        };
+
+    }
+
+    /* Allocate buffers for reading and writing data */
+
+    const inputBuffer = Buffer.alloc(FILE_BUFFER_SIZE);
+
+    const outputBuffer = Buffer.alloc(FILE_BUFFER_SIZE);
+
+    const headerBuffer = Buffer.alloc(HEADER_BUFFER_SIZE);
+
+    /* Read the header */
+
+    try {
+
+        yield ioHandler.read(fi, headerBuffer, 0, HEADER_BUFFER_SIZE, 0);
+
+    } catch (e) {
+
+        return {
+            success: false,
+            code: 'E_HEADER_READ',
+            error: 'Could not read the input WAV header.'
+        };
+
+    }
+
+    /* Check the header */
+
+    const headerCheck = wavHandler.readHeader(headerBuffer, fileSize);
+
+    if (headerCheck.success === false) return headerCheck;
+
+    const header = headerCheck.header;
+
+    const originalHeaderSize = header.size;
+
+    const originalDataSize = header.data.size;
+
+    /* Check the cutoffs against the sample rate */
+
+    const sampleRate = header.wavFormat.samplesPerSecond;
+
+    if (settings.cutoffs[settings.cutoffs.length - 1] >= sampleRate / 2) {
+
+        return {
+            success: false,
+            code: 'E_FILTER_CUTOFF_INVALID',
+            error: 'Filter cutoff must be less than half the sample rate of ' + sampleRate + ' Hz.'
+        };
+
+    }
+
+    /* Determine settings from the input file. Samples are processed a frame at a time with one sample from each channel */
+
+    const sampleCodec = wavHandler.getSampleCodec(header.wavFormat);
+
+    const numberOfChannels = header.wavFormat.numberOfChannels;
+
+    const numberOfBytesInSample = sampleCodec.bytesPerSample;
+
+    const numberOfBytesInFrame = header.wavFormat.bytesPerCapture;
+
+    const numberOfFramesInBuffer = Math.floor(FILE_BUFFER_SIZE / numberOfBytesInFrame);
+
+    const numberOfFramesInInput = Math.floor(originalDataSize / numberOfBytesInFrame);
+
+    const dataSize = numberOfFramesInInput * numberOfBytesInFrame;
+
+    /* Design the filter with a state for each section of each channel */
+
+    const sections = designFilter(settings, sampleRate);
+
+    const numberOfStates = 2 * sections.length;
+
+    const state = new Float64Array(numberOfChannels * numberOfStates);
+
+    /* Read the GUANO and any other chunks which follow the data */
+
+    let guano = header.guano;
+
+    let trailingChunks = [];
+
+    if (originalDataSize + originalHeaderSize < fileSize) {
+
+        const numberOfBytes = Math.min(fileSize - originalHeaderSize - originalDataSize, HEADER_BUFFER_SIZE);
+
+        try {
+
+            const numberOfBytesRead = yield ioHandler.read(fi, inputBuffer, 0, numberOfBytes, originalDataSize + originalHeaderSize);
+
+            if (numberOfBytesRead === numberOfBytes) {
+
+                const trailer = wavHandler.readTrailer(header, inputBuffer, numberOfBytes);
+
+                guano = trailer.guano;
+
+                trailingChunks = trailer.chunks;
+
+            }
+
+        } catch (e) {
+
+            guano = header.guano;
+
+            trailingChunks = [];
+
+        }
+
+    }
+
+    /* Record the filter in the header comment and in GUANO, creating a GUANO chunk if the file has none. The GUANO filter frequencies give the band which remains */
+
+    const description = describeFilter(settings);
+
+    const comment = header.icmt.comment;
+
+    wavHandler.extendComment(header, comment + (comment === '' ? '' : ' ') + 'Filtered with a ' + description + '.');
+
+    const fields = guano ? guanoHandler.parseGuano(guano.contents) : {};
+
+    if (settings.type !== 'LOW_PASS') {
+
+        const highPass = settings.cutoffs[0] / HERTZ_IN_KILOHERTZ;
+
+        fields[GUANO_HIGH_PASS_KEY] = typeof fields[GUANO_HIGH_PASS_KEY] === 'number' ? Math.max(fields[GUANO_HIGH_PASS_KEY], highPass) : highPass;
+
+    }
+
+    if (settings.type !== 'HIGH_PASS') {
+
+        const lowPass = settings.cutoffs[settings.cutoffs.length - 1] / HERTZ_IN_KILOHERTZ;
+
+        fields[GUANO_LOW_PASS_KEY] = typeof fields[GUANO_LOW_PASS_KEY] === 'number' ? Math.min(fields[GUANO_LOW_PASS_KEY], lowPass) : lowPass;
+
+    }
+
+    fields[GUANO_FILTER_KEY] = typeof fields[GUANO_FILTER_KEY] === 'string' ? fields[GUANO_FILTER_KEY] + '; ' + description : description;
+
+    const contents = guanoHandler.serialiseGuano(fields);
+
+    if (guano) {
+
+        guanoHandler.updateContents(guano, contents);
+
+    } else {
+
+        guano = guanoHandler.createGuano(contents);
+
+    }
+
+    /* Progress is split between the passes */
+
+    const numberOfPasses = settings.zeroPhase ? 2 : 1;
+
+    let progress = 0;
+
+    const updateProgress = function (pass, numberOfFramesProcessed) {
+
+        const nextProgress = Math.round(100 * (pass + numberOfFramesProcessed / numberOfFramesInInput) / numberOfPasses);
+
+        if (nextProgress > progress) {
+
+            progress = nextProgress;
+
+            if (callback) callback(progress);
+
+        }
+
+    };
+
+    /* Function to write a filtered value in the output format */
+
+    const writeSample = function (index, value) {
+
+        if (sampleCodec.integer) value = Math.sign(value) * Math.round(Math.abs(value));
+
+        value = Math.max(sampleCodec.minimum, Math.min(sampleCodec.maximum, value));
+
+        sampleCodec.write(outputBuffer, index, value);
+
+    };
+
+    const temporaryPath = outputFilePath + TEMPORARY_EXTENSION;
+
+    let ft = null;
+
+    try {
+
+        /* Open the output file and write the header */
+
+        const fo = yield ioHandler.open(outputFilePath, 'w');
+
+        wavHandler.updateSizes(header, guano, dataSize, trailingChunks);
+
+        wavHandler.writeHeader(headerBuffer, header);
+
+        const headerSize = wavHandler.getHeaderSize(header);
+
+        yield ioHandler.write(fo, headerBuffer, 0, headerSize, null);
+
+        /* The forward pass writes to the output file or, for zero phase, to a temporary file of unrounded values */
+
+        const temporaryBuffer = settings.zeroPhase ? Buffer.alloc(numberOfFramesInBuffer * numberOfChannels * NUMBER_OF_BYTES_IN_DOUBLE) : null;
+
+        if (settings.zeroPhase) ft = yield ioHandler.open(temporaryPath, 'w+');
+
+        let numberOfFramesProcessed = 0;
+
+        while (numberOfFramesProcessed < numberOfFramesInInput) {
+
+            const numberOfFrames = Math.min(numberOfFramesInBuffer, numberOfFramesInInput - numberOfFramesProcessed);
+
+            yield ioHandler.read(fi, inputBuffer, 0, numberOfFrames * numberOfBytesInFrame, originalHeaderSize + numberOfFramesProcessed * numberOfBytesInFrame);
+
+            for (let frame = 0; frame < numberOfFrames; frame += 1) {
+
+                for (let channel = 0; channel < numberOfChannels; channel += 1) {
+
+                    const index = frame * numberOfBytesInFrame + channel * numberOfBytesInSample;
+
+                    const value = sampleCodec.read(inputBuffer, index);
+
+                    if (numberOfFramesProcessed === 0 && frame === 0) initialiseState(sections, state, channel * numberOfStates, value);
+
+                    const filteredValue = filterSample(sections, state, channel * numberOfStates, value);
+
+                    if (settings.zeroPhase) {
+
+                        temporaryBuffer.writeDoubleLE(filteredValue, (frame * numberOfChannels + channel) * NUMBER_OF_BYTES_IN_DOUBLE);
+
+                    } else {
+
+                        writeSample(index, filteredValue);
+
+                    }
+
+                }
+
+            }
+
+            if (settings.zeroPhase) {
+
+                yield ioHandler.write(ft, temporaryBuffer, 0, numberOfFrames * numberOfChannels * NUMBER_OF_BYTES_IN_DOUBLE, numberOfFramesProcessed * numberOfChannels * NUMBER_OF_BYTES_IN_DOUBLE);
+
+            } else {
+
+                yield ioHandler.write(fo, outputBuffer, 0, numberOfFrames * numberOfBytesInFrame, null);
+
+            }
+
+            numberOfFramesProcessed += numberOfFrames;
+
+            updateProgress(0, numberOfFramesProcessed);
+
+        }
+
+        /* The backward pass filters the temporary file from the end, writing each buffer to its place in the output file */
+
+        if (settings.zeroPhase) {
+
+            let numberOfFramesRemaining = numberOfFramesInInput;
+
+            while (numberOfFramesRemaining > 0) {
+
+                const numberOfFrames = Math.min(numberOfFramesInBuffer, numberOfFramesRemaining);
+
+                const firstFrame = numberOfFramesRemaining - numberOfFrames;
+
+                yield ioHandler.read(ft, temporaryBuffer, 0, numberOfFrames * numberOfChannels * NUMBER_OF_BYTES_IN_DOUBLE, firstFrame * numberOfChannels * NUMBER_OF_BYTES_IN_DOUBLE);
+
+                for (let frame = numberOfFrames - 1; frame >= 0; frame -= 1) {
+
+                    for (let channel = 0; channel < numberOfChannels; channel += 1) {
+
+                        const value = temporaryBuffer.readDoubleLE((frame * numberOfChannels + channel) * NUMBER_OF_BYTES_IN_DOUBLE);
+
+                        if (numberOfFramesRemaining === numberOfFramesInInput && frame === numberOfFrames - 1) initialiseState(sections, state, channel * numberOfStates, value);
+
+                        writeSample(frame * numberOfBytesInFrame + channel * numberOfBytesInSample, filterSample(sections, state, channel * numberOfStates, value));
+
+                    }
+
+                }
+
+                yield ioHandler.write(fo, outputBuffer, 0, numberOfFrames * numberOfBytesInFrame, headerSize + firstFrame * numberOfBytesInFrame);
+
+                numberOfFramesRemaining = firstFrame;
+
+                updateProgress(1, numberOfFramesInInput - numberOfFramesRemaining);
+
+            }
+
+            yield ioHandler.close(ft);
+
+            ft = null;
+
+            yield ioHandler.unlink(temporaryPath);
+
+        }
+
+        /* Write any other chunks which followed the data and then the GUANO, which may be larger than the file buffer */
+
+        const numberOfTrailingBytes = wavHandler.writeTrailingChunks(outputBuffer, header, trailingChunks);
+
+        if (numberOfTrailingBytes > 0) yield ioHandler.write(fo, outputBuffer, 0, numberOfTrailingBytes, headerSize + dataSize);
+
+        const guanoBuffer = Buffer.alloc(guano.size);
+
+        guanoHandler.writeGuano(guanoBuffer, guano);
+
+        yield ioHandler.write(fo, guanoBuffer, 0, guano.size, headerSize + dataSize + numberOfTrailingBytes);
+
+        yield ioHandler.close(fo);
+
+    } catch (e) {
+
+        /* Remove any temporary file */
+
+        if (ft !== null) {
+
+            try {
+
+                yield ioHandler.close(ft);
+
+                yield ioHandler.unlink(temporaryPath);
+
+            } catch (error) { }
+
+        }
+
+        return {
+            success: false,
+            code: 'E_FILTER_FAILED',
+            error: 'An error occurred while filtering the file.'
+        };
+
+    }
+
+    if (callback && progress < 100) callback(100);
+
+    /* Close the input file */
+
+    yield ioHandler.close(fi);
+
+    /* Return success */
+
+    return {
+        success: true,
+        error: null
+    };
+
+}
+
+/* Run filter synchronously or asynchronously. The options may include an AbortSignal to cancel the operation */
+
+function filter (inputPath, outputPath, prefix, settings, callback, options) {
+
+    return ioHandler.runSync(filterOperation(inputPath, outputPath, prefix, settings, callback), options && options.signal);
+
+}
+
+function filterAsync (inputPath, outputPath, prefix, settings, callback, options) {
+
+    return ioHandler.runAsync(filterOperation(inputPath, outputPath, prefix, settings, callback), options && options.signal);
+
+}
+
+/* Exports */
+
+exports.filter = filter;
+exports.filterAsync = filterAsync;
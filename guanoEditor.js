@@ -0,0 +1,309 @@
+/****************************************************************************
+ * guanoEditor.js
+ * openacousticdevices.info
+ * October 2026
+ *****************************************************************************/
+
+'use strict';
+
+const path = require('path');
+
+const ioHandler = require('./ioHandler.js');
+const wavHandler = require('./wavHandler.js');
+const guanoHandler = require('./guanoHandler.js');
+
+/* File buffer constants */
+
+const HEADER_BUFFER_SIZE = 32 * 1024;
+
+const FILE_BUFFER_SIZE = 32 * 1024;
+
+/* Edit the GUANO of a WAV file. Each field in the changes is added or replaced, or removed if its value is null */
+
+function * editGuanoOperation (inputPath, outputPath, changes, callback) {
+
+    /* Check parameter */
+
+    if (changes === null || typeof changes !== 'object' || Array.isArray(changes)) {
+
+        return {
+            success: false,
+            code: 'E_GUANO_FIELDS_INVALID',
+            error: 'GUANO fields must be an object.'
+        };
+
+    }
+
+    /* Open input file */
+
+    let fi;
+
+    try {
+
+        fi = yield ioHandler.open(inputPath, 'r');
+
+    } catch (e) {
+
+        return {
+            success: false,
+            code: 'E_INPUT_OPEN',
+            error: 'Could not open input file.'
+        };
+
+    }
+
+    /* Check the output path */
+
+    outputPath = outputPath || path.parse(inputPath).dir;
+
+    if ((yield ioHandler.lstat(outputPath)).isDirectory() === false) {
+
+        return {
+            success: false,
+            code: 'E_DESTINATION_NOT_DIRECTORY',
+            error: 'Destination path is not a directory.'
+        };
+
+    }
+
+    const outputFilePath = path.join(outputPath, path.basename(inputPath));
+
+    if (path.resolve(outputFilePath) === path.resolve(inputPath)) {
+
+        return {
+            success: false,
+            code: 'E_OUTPUT_IS_INPUT',
+            error: 'Edited file would overwrite the input file.'
+        };
+
+    }
+
+    /* Find the input file size */
+
+    let fileSize;
+
+    try {
+
+        fileSize = (yield ioHandler.stat(inputPath)).size;
+
+    } catch (e) {
+
+        return {
+            success: false,
+            code: 'E_INPUT_SIZE_READ',
+            error: 'Could not read input file size.'
+        };
+
+    }
+
+    if (fileSize === 0) {
+
+        return {
+            success: false,
+            code: 'E_INPUT_EMPTY',
+            error: 'Input file has zero size.'
+        };
+
+    }
+
+    /* Allocate buffers for reading data */
+
+    const fileBuffer = Buffer.alloc(FILE_BUFFER_SIZE);
+
+    const headerBuffer = Buffer.alloc(HEADER_BUFFER_SIZE);
+
+    /* Read the header */
+
+    try {
+
+        yield ioHandler.read(fi, headerBuffer, 0, HEADER_BUFFER_SIZE, 0);
+
+    } catch (e) {
+
+        return {
+            success: false,
+            code: 'E_HEADER_READ',
+            error: 'Could not read the input WAV header.'
+        };
+
+    }
+
+    /* Check the header */
+
+    const headerCheck = wavHandler.readHeader(headerBuffer, fileSize);
+
+    if (headerCheck.success === false) return headerCheck;
+
+    const header = headerCheck.header;
+
+    const headerSize = header.size;
+
+    const dataSize = header.data.size;
+
+    /* Read the GUANO and any other chunks which follow the data */
+
+    let guano = header.guano;
+
+    let trailingChunks = [];
+
+    if (dataSize + headerSize < fileSize) {
+
+        const numberOfBytes = Math.min(fileSize - headerSize - dataSize, HEADER_BUFFER_SIZE);
+
+        try {
+
+            const numberOfBytesRead = yield ioHandler.read(fi, fileBuffer, 0, numberOfBytes, dataSize + headerSize);
+
+            if (numberOfBytesRead === numberOfBytes) {
+
+                const trailer = wavHandler.readTrailer(header, fileBuffer, numberOfBytes);
+
+                guano = trailer.guano;
+
+                trailingChunks = trailer.chunks;
+
+            }
+
+        } catch (e) {
+
+            guano = header.guano;
+
+            trailingChunks = [];
+
+        }
+
+    }
+
+    /* Apply the changes to the GUANO fields, creating a GUANO chunk if the file has none */
+
+    const fields = guano ? guanoHandler.parseGuano(guano.contents) : {};
+
+    const keys = Object.keys(changes);
+
+    for (let i = 0; i < keys.length; i += 1) {
+
+        if (changes[keys[i]] === null || changes[keys[i]] === undefined) {
+
+            delete fields[keys[i]];
+
+        } else {
+
+            fields[keys[i]] = changes[keys[i]];
+
+        }
+
+    }
+
+    const contents = guanoHandler.serialiseGuano(fields);
+
+    if (guano) {
+
+        guanoHandler.updateContents(guano, contents);
+
+    } else {
+
+        guano = guanoHandler.createGuano(contents);
+
+    }
+
+    /* Write the output file */
+
+    let progress = 0;
+
+    try {
+
+        const fo = yield ioHandler.open(outputFilePath, 'w');
+
+        /* Write the header with the new sizes */
+
+        wavHandler.updateSizes(header, guano, dataSize, trailingChunks);
+
+        wavHandler.writeHeader(headerBuffer, header);
+
+        yield ioHandler.write(fo, headerBuffer, 0, wavHandler.getHeaderSize(header), null);
+
+        /* Copy the data unchanged */
+
+        let index = 0;
+
+        while (index < dataSize) {
+
+            const numberOfBytes = Math.min(FILE_BUFFER_SIZE, dataSize - index);
+
+            yield ioHandler.read(fi, fileBuffer, 0, numberOfBytes, headerSize + index);
+
+            yield ioHandler.write(fo, fileBuffer, 0, numberOfBytes, null);
+
+            index += numberOfBytes;
+
+            /* Callback with progress */
+
+            const nextProgress = Math.round(100 * index / dataSize);
+
+            if (nextProgress > progress) {
+
+                progress = nextProgress;
+
+                if (callback) callback(progress);
+
+            }
+
+        }
+
+        /* Write any other chunks which followed the data and then the GUANO, which may be larger than the file buffer */
+
+        const numberOfTrailingBytes = wavHandler.writeTrailingChunks(fileBuffer, header, trailingChunks);
+
+        if (numberOfTrailingBytes > 0) yield ioHandler.write(fo, fileBuffer, 0, numberOfTrailingBytes, null);
+
+        const guanoBuffer = Buffer.alloc(guano.size);
+
+        guanoHandler.writeGuano(guanoBuffer, guano);
+
+        yield ioHandler.write(fo, guanoBuffer, 0, guano.size, null);
+
+        yield ioHandler.close(fo);
+
+    } catch (e) {
+
+        return {
+            success: false,
+            code: 'E_GUANO_EDIT_FAILED',
+            error: 'An error occurred while editing the GUANO.'
+        };
+
+    }
+
+    if (callback && progress < 100) callback(100);
+
+    /* Close the input file */
+
+    yield ioHandler.close(fi);
+
+    /* Return success */
+
+    return {
+        success: true,
+        error: null
+    };
+
+}
+
+/* Run GUANO editing synchronously or asynchronously. The options may include an AbortSignal to cancel the operation */
+
+function editGuano (inputPath, outputPath, changes, callback, options) {
+
+    return ioHandler.runSync(editGuanoOperation(inputPath, outputPath, changes, callback), options && options.signal);
+
+}
+
+function editGuanoAsync (inputPath, outputPath, changes, callback, options) {
+
+    return ioHandler.runAsync(editGuanoOperation(inputPath, outputPath, changes, callback), options && options.signal);
+
+}
+
+/* Exports */
+
+exports.editGuano = editGuano;
+exports.editGuanoAsync = editGuanoAsync;
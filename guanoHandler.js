@@ -11,6 +11,31 @@
 const UINT32_LENGTH = 4;
 const RIFF_ID_LENGTH = 4;
 
+/* GUANO field constants */
+
+const VERSION_KEY = 'GUANO|Version';
+const DEFAULT_VERSION = '1.0';
+
+const TIMESTAMP_KEY = 'Timestamp';
+const POSITION_KEY = 'Loc Position';
+
+const STRING_KEYS = ['Firmware Version', 'Hardware Version', 'Make', 'Model', 'Note', 'Original Filename', 'Serial', 'Species Auto ID', 'Species Manual ID', 'Tags'];
+
+const GUANO_TIMESTAMP_REGEX = /^(\d{4})-(\d\d)-(\d\d)[T ](\d\d):(\d\d):(\d\d)(\.\d+)?(Z|([+-])(\d\d):?(\d\d))?$/;
+
+const GUANO_POSITION_REGEX = /^([+-]?\d+(?:\.\d+)?)\s+([+-]?\d+(?:\.\d+)?)$/;
+
+const GUANO_NUMBER_REGEX = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+/* Time constants */
+
+const MILLISECONDS_IN_MINUTE = 60 * 1000;
+const MINUTES_IN_HOUR = 60;
+
+/* Original text of each parsed field so unchanged fields are written back exactly as they were read */
+
+const originalFields = new WeakMap();
+
 /* RIFF component read functions */
 
 function readString (state, length) {
@@ -109,6 +134,7 @@ function readGuano (buffer, bufferSize) {
 
             return {
                 success: false,
+                code: 'E_GUANO_SIZE_EXCEEDS_BUFFER',
                 error: 'GUANO size exceeds buffer size.'
             };
 
@@ -138,6 +164,7 @@ function readGuano (buffer, bufferSize) {
 
         return {
             success: false,
+            code: 'E_GUANO_INVALID',
             error: e.message
         };
 
@@ -157,7 +184,19 @@ function writeGuano (buffer, guano) {
 
 }
 
-/* Functions to update GUANO */
+/* Functions to create and update GUANO */
+
+function createGuano (contents) {
+
+    const guano = {
+        guan: {id: 'guan', size: 0}
+    };
+
+    updateContents(guano, contents);
+
+    return guano;
+
+}
 
 function updateContents (guano, contents) {
 
@@ -171,8 +210,204 @@ function updateContents (guano, contents) {
 
 }
 
+/* GUANO field parse and format functions */
+
+function digits (value, number) {
+
+    const string = '00000' + value;
+
+    return string.substring(string.length - number, string.length);
+
+}
+
+function parseTimestamp (text) {
+
+    const match = text.match(GUANO_TIMESTAMP_REGEX);
+
+    if (match === null) return null;
+
+    const milliseconds = match[7] ? Math.round(parseFloat(match[7]) * 1000) : 0;
+
+    let offset = null;
+
+    if (match[8] === 'Z') offset = 0;
+
+    if (match[9]) offset = (match[9] === '-' ? -1 : 1) * (parseInt(match[10], 10) * MINUTES_IN_HOUR + parseInt(match[11], 10));
+
+    const localTime = Date.UTC(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10), parseInt(match[4], 10), parseInt(match[5], 10), parseInt(match[6], 10), milliseconds);
+
+    /* Reject dates and times which are out of range rather than letting them roll over */
+
+    const date = new Date(localTime);
+
+    if (date.getUTCMonth() !== parseInt(match[2], 10) - 1 || date.getUTCDate() !== parseInt(match[3], 10) || date.getUTCHours() !== parseInt(match[4], 10) || date.getUTCMinutes() !== parseInt(match[5], 10)) return null;
+
+    return {
+        date: new Date(localTime - (offset || 0) * MILLISECONDS_IN_MINUTE),
+        offset: offset,
+        milliseconds: match[7] !== undefined
+    };
+
+}
+
+function formatTimestamp (timestamp) {
+
+    const offset = timestamp.offset === undefined ? 0 : timestamp.offset;
+
+    const date = new Date(timestamp.date.getTime() + (offset || 0) * MILLISECONDS_IN_MINUTE);
+
+    let string = date.getUTCFullYear() + '-' + digits(date.getUTCMonth() + 1, 2) + '-' + digits(date.getUTCDate(), 2) + 'T' + digits(date.getUTCHours(), 2) + ':' + digits(date.getUTCMinutes(), 2) + ':' + digits(date.getUTCSeconds(), 2);
+
+    if (timestamp.milliseconds) string += '.' + digits(date.getUTCMilliseconds(), 3);
+
+    if (offset === 0) {
+
+        string += 'Z';
+
+    } else if (offset !== null) {
+
+        string += (offset < 0 ? '-' : '+') + digits(Math.floor(Math.abs(offset) / MINUTES_IN_HOUR), 2) + ':' + digits(Math.abs(offset) % MINUTES_IN_HOUR, 2);
+
+    }
+
+    return string;
+
+}
+
+function parseValue (key, text) {
+
+    if (key === TIMESTAMP_KEY) return parseTimestamp(text) || text;
+
+    if (key === POSITION_KEY) {
+
+        const match = text.match(GUANO_POSITION_REGEX);
+
+        return match ? {latitude: parseFloat(match[1]), longitude: parseFloat(match[2])} : text;
+
+    }
+
+    if (key === VERSION_KEY || STRING_KEYS.indexOf(key) >= 0) return text;
+
+    return GUANO_NUMBER_REGEX.test(text) ? parseFloat(text) : text;
+
+}
+
+function formatValue (value) {
+
+    if (value instanceof Date) return formatTimestamp({date: value, offset: 0, milliseconds: value.getUTCMilliseconds() !== 0});
+
+    if (typeof value === 'object' && value.date instanceof Date) return formatTimestamp(value);
+
+    if (typeof value === 'object' && typeof value.latitude === 'number') return value.latitude + ' ' + value.longitude;
+
+    return String(value).replace(/\r?\n/g, '\\n');
+
+}
+
+/* Parse GUANO contents into an object of typed fields, keyed by the full field name including any namespace, in the order they appear */
+
+function parseGuano (contents) {
+
+    const fields = {};
+
+    const original = {
+        fields: {},
+        newline: /\n\0*$/.test(contents)
+    };
+
+    const lines = contents.replace(/\0+$/, '').split(/\r?\n/);
+
+    for (let i = 0; i < lines.length; i += 1) {
+
+        const index = lines[i].indexOf(':');
+
+        if (index < 0) continue;
+
+        const key = lines[i].substring(0, index).trim();
+
+        const text = lines[i].substring(index + 1).trim();
+
+        if (key === '') continue;
+
+        fields[key] = parseValue(key, text.replace(/\\n/g, '\n'));
+
+        original.fields[key] = {
+            text: text,
+            formatted: formatValue(fields[key])
+        };
+
+    }
+
+    originalFields.set(fields, original);
+
+    return fields;
+
+}
+
+/* Format a field of a parsed GUANO, keeping the text as it appeared in the contents if the value has not changed */
+
+function formatField (fields, key) {
+
+    const original = originalFields.get(fields);
+
+    const text = formatValue(fields[key]);
+
+    const originalField = original ? original.fields[key] : undefined;
+
+    return originalField && originalField.formatted === text ? originalField.text : text;
+
+}
+
+/* Serialise an object of fields as GUANO contents with the version first. Fields set to null or undefined are left out */
+
+function serialiseGuano (fields) {
+
+    const original = originalFields.get(fields);
+
+    const lines = [VERSION_KEY + ':' + (fields[VERSION_KEY] === undefined || fields[VERSION_KEY] === null ? DEFAULT_VERSION : formatValue(fields[VERSION_KEY]))];
+
+    const keys = Object.keys(fields);
+
+    for (let i = 0; i < keys.length; i += 1) {
+
+        const key = keys[i];
+
+        if (key === VERSION_KEY || fields[key] === undefined || fields[key] === null) continue;
+
+        lines.push(key + ':' + formatField(fields, key));
+
+    }
+
+    return lines.join('\n') + (original && original.newline ? '\n' : '');
+
+}
+
+/* Set the time of a parsed GUANO timestamp from a local timestamp. The time zone offset in minutes replaces any existing offset if it is given */
+
+function updateTimestamp (fields, timestamp, milliseconds, timezoneOffset) {
+
+    const value = fields[TIMESTAMP_KEY];
+
+    if (value === undefined || value === null || value.date instanceof Date === false) return;
+
+    const offset = typeof timezoneOffset === 'number' ? timezoneOffset : value.offset;
+
+    fields[TIMESTAMP_KEY] = {
+        date: new Date(timestamp - (offset || 0) * MILLISECONDS_IN_MINUTE),
+        offset: offset,
+        milliseconds: milliseconds === true
+    };
+
+}
+
 /* Exports */
 
 exports.writeGuano = writeGuano;
 exports.readGuano = readGuano;
+exports.createGuano = createGuano;
 exports.updateContents = updateContents;
+exports.parseGuano = parseGuano;
+exports.serialiseGuano = serialiseGuano;
+exports.formatField = formatField;
+exports.updateTimestamp = updateTimestamp;
+exports.formatTimestamp = formatTimestamp;
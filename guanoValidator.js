@@ -0,0 +1,414 @@
+/****************************************************************************
+ * guanoValidator.js
+ * openacousticdevices.info
+ * October 2026
+ *****************************************************************************/
+
+'use strict';
+
+const ioHandler = require('./ioHandler.js');
+const wavHandler = require('./wavHandler.js');
+const guanoHandler = require('./guanoHandler.js');
+
+/* File buffer constants */
+
+const HEADER_BUFFER_SIZE = 32 * 1024;
+
+const MAXIMUM_TRAILER_SIZE = 1024 * 1024;
+
+/* RIFF constants */
+
+const UINT32_LENGTH = 4;
+const RIFF_ID_LENGTH = 4;
+
+/* GUANO specification constants */
+
+const VERSION_KEY = 'GUANO|Version';
+const SUPPORTED_VERSION = '1.0';
+
+const TIMESTAMP_KEY = 'Timestamp';
+const POSITION_KEY = 'Loc Position';
+
+const NUMERIC_KEYS = ['Filter HP', 'Filter LP', 'Humidity', 'Length', 'Loc Accuracy', 'Loc Elevation', 'Samplerate', 'TE', 'Temperature Ext', 'Temperature Int'];
+
+const MAXIMUM_LATITUDE = 90;
+const MAXIMUM_LONGITUDE = 180;
+
+/* Check the contents of a GUANO chunk against the specification */
+
+function checkContents (buffer, issues) {
+
+    const contents = buffer.toString('utf8');
+
+    if (Buffer.from(contents, 'utf8').equals(buffer) === false) {
+
+        issues.push({
+            code: 'E_GUANO_UTF8_INVALID',
+            message: 'GUANO contents are not valid UTF-8.'
+        });
+
+    }
+
+    /* Check each line is a field name and value */
+
+    const lines = contents.replace(/\0+$/, '').split(/\r?\n/);
+
+    let firstKey = null;
+
+    for (let i = 0; i < lines.length; i += 1) {
+
+        if (lines[i].trim() === '') continue;
+
+        const index = lines[i].indexOf(':');
+
+        if (index <= 0) {
+
+            issues.push({
+                code: 'E_GUANO_LINE_INVALID',
+                message: 'GUANO line ' + (i + 1) + ' is not a field name and value separated by a colon.'
+            });
+
+            continue;
+
+        }
+
+        if (firstKey === null) firstKey = lines[i].substring(0, index).trim();
+
+    }
+
+    /* Check the required version field */
+
+    const fields = guanoHandler.parseGuano(contents);
+
+    if (fields[VERSION_KEY] === undefined) {
+
+        issues.push({
+            code: 'E_GUANO_VERSION_MISSING',
+            message: 'GUANO|Version field is missing.'
+        });
+
+    } else {
+
+        if (firstKey !== VERSION_KEY) {
+
+            issues.push({
+                code: 'E_GUANO_VERSION_NOT_FIRST',
+                message: 'GUANO|Version is not the first field.'
+            });
+
+        }
+
+        if (fields[VERSION_KEY] !== SUPPORTED_VERSION) {
+
+            issues.push({
+                code: 'E_GUANO_VERSION_UNSUPPORTED',
+                message: 'GUANO version ' + fields[VERSION_KEY] + ' is not ' + SUPPORTED_VERSION + '.'
+            });
+
+        }
+
+    }
+
+    /* Check the format of the timestamp, position and numeric fields */
+
+    const timestamp = fields[TIMESTAMP_KEY];
+
+    if (timestamp !== undefined && timestamp.date instanceof Date === false) {
+
+        issues.push({
+            code: 'E_GUANO_TIMESTAMP_INVALID',
+            message: 'GUANO Timestamp ' + timestamp + ' is not a valid ISO 8601 timestamp.'
+        });
+
+    }
+
+    const position = fields[POSITION_KEY];
+
+    if (position !== undefined && (typeof position.latitude !== 'number' || Math.abs(position.latitude) > MAXIMUM_LATITUDE || Math.abs(position.longitude) > MAXIMUM_LONGITUDE)) {
+
+        issues.push({
+            code: 'E_GUANO_POSITION_INVALID',
+            message: 'GUANO Loc Position is not a valid latitude and longitude.'
+        });
+
+    }
+
+    for (let i = 0; i < NUMERIC_KEYS.length; i += 1) {
+
+        if (fields[NUMERIC_KEYS[i]] !== undefined && typeof fields[NUMERIC_KEYS[i]] !== 'number') {
+
+            issues.push({
+                code: 'E_GUANO_NUMBER_INVALID',
+                message: 'GUANO ' + NUMERIC_KEYS[i] + ' is not a number.'
+            });
+
+        }
+
+    }
+
+}
+
+/* Validate the GUANO of a WAV file */
+
+function * validateGuanoOperation (inputPath, callback) {
+
+    /* Open input file */
+
+    let fi;
+
+    try {
+
+        fi = yield ioHandler.open(inputPath, 'r');
+
+    } catch (e) {
+
+        return {
+            success: false,
+            code: 'E_INPUT_OPEN',
+            error: 'Could not open input file.'
+        };
+
+    }
+
+    /* Find the input file size */
+
+    let fileSize;
+
+    try {
+
+        fileSize = (yield ioHandler.stat(inputPath)).size;
+
+    } catch (e) {
+
+        return {
+            success: false,
+            code: 'E_INPUT_SIZE_READ',
+            error: 'Could not read input file size.'
+        };
+
+    }
+
+    if (fileSize === 0) {
+
+        return {
+            success: false,
+            code: 'E_INPUT_EMPTY',
+            error: 'Input file has zero size.'
+        };
+
+    }
+
+    /* Read the header */
+
+    const headerBuffer = Buffer.alloc(HEADER_BUFFER_SIZE);
+
+    try {
+
+        yield ioHandler.read(fi, headerBuffer, 0, HEADER_BUFFER_SIZE, 0);
+
+    } catch (e) {
+
+        return {
+            success: false,
+            code: 'E_HEADER_READ',
+            error: 'Could not read the input WAV header.'
+        };
+
+    }
+
+    /* Sizes are checked separately so a file cut off inside its GUANO chunk still has its chunks walked */
+
+    const headerCheck = wavHandler.readHeader(headerBuffer, fileSize, true);
+
+    if (headerCheck.success === false) return headerCheck;
+
+    const header = headerCheck.header;
+
+    const issues = [];
+
+    if (header.riff.size + RIFF_ID_LENGTH + UINT32_LENGTH !== fileSize) {
+
+        issues.push({
+            code: 'E_RIFF_SIZE_MISMATCH',
+            message: 'RIFF chunk size does not match the file size.'
+        });
+
+    }
+
+    if (header.data.size + header.size > fileSize) {
+
+        issues.push({
+            code: 'E_DATA_SIZE_EXCEEDS_FILE',
+            message: 'DATA chunk size exceeds the file size.'
+        });
+
+    }
+
+    if (callback) callback(50);
+
+    /* Find any GUANO chunk before the data, which may not have been parsed if it was truncated */
+
+    let contents = header.guano ? header.guano.buffer : null;
+
+    for (let i = 0; i < header.chunks.length && contents === null; i += 1) {
+
+        if (header.chunks[i].id === 'guan') contents = header.chunks[i].contents;
+
+    }
+
+    let numberOfGuanoChunks = contents ? 1 : 0;
+
+    let guanoIsLast = false;
+
+    /* Find the end of the data and its pad byte */
+
+    let dataEnd = header.size + header.data.size + header.data.size % 2;
+
+    if (header.data.size === 0 || header.data.size + header.size > fileSize) {
+
+        /* The DATA size was not written so look for GUANO and other chunks near the end of the file */
+
+        const tailBuffer = Buffer.alloc(Math.max(0, Math.min(fileSize - header.size, HEADER_BUFFER_SIZE)));
+
+        try {
+
+            const numberOfBytesRead = yield ioHandler.read(fi, tailBuffer, 0, tailBuffer.length, fileSize - tailBuffer.length);
+
+            const index = wavHandler.findTrailingChunks(tailBuffer, numberOfBytesRead);
+
+            dataEnd = index >= 0 ? fileSize - numberOfBytesRead + index : fileSize;
+
+        } catch (e) {
+
+            return {
+                success: false,
+                code: 'E_INPUT_READ',
+                error: 'Could not read the end of the input file.'
+            };
+
+        }
+
+    }
+
+    /* Walk the chunks which follow the data */
+
+    const trailerSize = Math.max(0, fileSize - dataEnd);
+
+    const trailerBuffer = Buffer.alloc(Math.min(trailerSize, MAXIMUM_TRAILER_SIZE));
+
+    try {
+
+        const numberOfBytesRead = yield ioHandler.read(fi, trailerBuffer, 0, trailerBuffer.length, dataEnd);
+
+        let index = 0;
+
+        while (index + RIFF_ID_LENGTH + UINT32_LENGTH <= numberOfBytesRead) {
+
+            const id = trailerBuffer.toString('latin1', index, index + RIFF_ID_LENGTH);
+
+            const size = trailerBuffer.readUInt32LE(index + RIFF_ID_LENGTH);
+
+            const start = index + RIFF_ID_LENGTH + UINT32_LENGTH;
+
+            guanoIsLast = false;
+
+            if (id === 'guan') {
+
+                numberOfGuanoChunks += 1;
+
+                guanoIsLast = true;
+
+                if (start + size > trailerSize) {
+
+                    issues.push({
+                        code: 'E_GUANO_TRUNCATED',
+                        message: 'GUANO chunk size exceeds the end of the file.'
+                    });
+
+                }
+
+                if (numberOfGuanoChunks === 1) contents = trailerBuffer.subarray(start, Math.min(start + size, numberOfBytesRead));
+
+            }
+
+            index = start + size + size % 2;
+
+        }
+
+    } catch (e) {
+
+        return {
+            success: false,
+            code: 'E_INPUT_READ',
+            error: 'Could not read the chunks which follow the data.'
+        };
+
+    }
+
+    /* Check the GUANO chunk */
+
+    if (numberOfGuanoChunks === 0) {
+
+        issues.push({
+            code: 'E_GUANO_MISSING',
+            message: 'File does not contain a GUANO chunk.'
+        });
+
+    } else {
+
+        if (numberOfGuanoChunks > 1) {
+
+            issues.push({
+                code: 'E_GUANO_DUPLICATE',
+                message: 'File contains ' + numberOfGuanoChunks + ' GUANO chunks.'
+            });
+
+        }
+
+        if (guanoIsLast === false) {
+
+            issues.push({
+                code: 'E_GUANO_NOT_LAST',
+                message: 'GUANO chunk is not the last chunk in the file.'
+            });
+
+        }
+
+        checkContents(contents, issues);
+
+    }
+
+    if (callback) callback(100);
+
+    /* Close the input file */
+
+    yield ioHandler.close(fi);
+
+    /* Return the issues found */
+
+    return {
+        success: true,
+        error: null,
+        issues: issues
+    };
+
+}
+
+/* Run GUANO validation synchronously or asynchronously. The options may include an AbortSignal to cancel the operation */
+
+function validateGuano (inputPath, callback, options) {
+
+    return ioHandler.runSync(validateGuanoOperation(inputPath, callback), options && options.signal);
+
+}
+
+function validateGuanoAsync (inputPath, callback, options) {
+
+    return ioHandler.runAsync(validateGuanoOperation(inputPath, callback), options && options.signal);
+
+}
+
+/* Exports */
+
+exports.validateGuano = validateGuano;
+exports.validateGuanoAsync = validateGuanoAsync;
@@ -0,0 +1,468 @@
+/****************************************************************************
+ * ioHandler.js
+ * openacousticdevices.info
+ * October 2026
+ *****************************************************************************/
+
+'use strict';
+
+const fs = require('fs');
+
+/* Each operation is written once as a generator which yields file requests. The generator is then run either synchronously using the fs.*Sync functions or asynchronously using fs.promises */
+
+/* Cancellation constants */
+
+const CANCELLED_CODE = 'E_CANCELLED';
+
+const CANCELLED_ERROR = 'Cancelled';
+
+/* File request functions */
+
+function open (filePath, flags) {
+
+    return {type: 'open', filePath: filePath, flags: flags};
+
+}
+
+function close (fd) {
+
+    return {type: 'close', fd: fd};
+
+}
+
+function read (fd, buffer, offset, length, position) {
+
+    return {type: 'read', fd: fd, buffer: buffer, offset: offset, length: length, position: position};
+
+}
+
+function write (fd, data, offset, length, position) {
+
+    return {type: 'write', fd: fd, data: data, offset: offset, length: length, position: position};
+
+}
+
+function stat (filePath) {
+
+    return {type: 'stat', filePath: filePath};
+
+}
+
+function lstat (filePath) {
+
+    return {type: 'lstat', filePath: filePath};
+
+}
+
+function exists (filePath) {
+
+    return {type: 'exists', filePath: filePath};
+
+}
+
+function readdir (folderPath) {
+
+    return {type: 'readdir', folderPath: folderPath};
+
+}
+
+function mkdir (folderPath) {
+
+    return {type: 'mkdir', folderPath: folderPath};
+
+}
+
+function unlink (filePath) {
+
+    return {type: 'unlink', filePath: filePath};
+
+}
+
+/* Call a function which returns either a result or, when run asynchronously, a promise of a result */
+
+function call (fn, args) {
+
+    return {type: 'call', fn: fn, args: args};
+
+}
+
+/* Synchronous request handlers */
+
+const syncHandlers = {
+
+    open: function (request) {
+
+        return fs.openSync(request.filePath, request.flags);
+
+    },
+
+    close: function (request) {
+
+        fs.closeSync(request.fd);
+
+    },
+
+    read: function (request) {
+
+        return fs.readSync(request.fd, request.buffer, request.offset, request.length, request.position);
+
+    },
+
+    write: function (request) {
+
+        if (typeof request.data === 'string') return fs.writeSync(request.fd, request.data);
+
+        return fs.writeSync(request.fd, request.data, request.offset, request.length, request.position);
+
+    },
+
+    stat: function (request) {
+
+        return fs.statSync(request.filePath);
+
+    },
+
+    lstat: function (request) {
+
+        return fs.lstatSync(request.filePath);
+
+    },
+
+    exists: function (request) {
+
+        return fs.existsSync(request.filePath);
+
+    },
+
+    readdir: function (request) {
+
+        return fs.readdirSync(request.folderPath, {withFileTypes: true});
+
+    },
+
+    mkdir: function (request) {
+
+        fs.mkdirSync(request.folderPath, {recursive: true});
+
+    },
+
+    unlink: function (request) {
+
+        fs.unlinkSync(request.filePath);
+
+    },
+
+    call: function (request) {
+
+        return request.fn.apply(null, request.args);
+
+    }
+
+};
+
+/* Asynchronous request handlers */
+
+const asyncHandlers = {
+
+    open: function (request) {
+
+        return fs.promises.open(request.filePath, request.flags);
+
+    },
+
+    close: function (request) {
+
+        return request.fd.close();
+
+    },
+
+    read: async function (request) {
+
+        const result = await request.fd.read(request.buffer, request.offset, request.length, request.position);
+
+        return result.bytesRead;
+
+    },
+
+    write: async function (request) {
+
+        const result = typeof request.data === 'string' ? await request.fd.write(request.data) : await request.fd.write(request.data, request.offset, request.length, request.position);
+
+        return result.bytesWritten;
+
+    },
+
+    stat: function (request) {
+
+        return fs.promises.stat(request.filePath);
+
+    },
+
+    lstat: function (request) {
+
+        return fs.promises.lstat(request.filePath);
+
+    },
+
+    exists: async function (request) {
+
+        try {
+
+            await fs.promises.access(request.filePath);
+
+            return true;
+
+        } catch (e) {
+
+            return false;
+
+        }
+
+    },
+
+    readdir: function (request) {
+
+        return fs.promises.readdir(request.folderPath, {withFileTypes: true});
+
+    },
+
+    mkdir: async function (request) {
+
+        await fs.promises.mkdir(request.folderPath, {recursive: true});
+
+    },
+
+    unlink: function (request) {
+
+        return fs.promises.unlink(request.filePath);
+
+    },
+
+    call: function (request) {
+
+        return request.fn.apply(null, request.args);
+
+    }
+
+};
+
+/* Keep track of open files so that they can be closed when the operation ends, and of output files so that they can be removed if the operation is cancelled */
+
+function updateFileLists (openFiles, outputFiles, request, result) {
+
+    if (request.type === 'open') {
+
+        openFiles.push(result);
+
+        if (request.flags.startsWith('w') && outputFiles.includes(request.filePath) === false) outputFiles.push(request.filePath);
+
+    }
+
+    if (request.type === 'close') {
+
+        const index = openFiles.indexOf(request.fd);
+
+        if (index > -1) openFiles.splice(index, 1);
+
+    }
+
+}
+
+function isCancelled (signal) {
+
+    return signal !== undefined && signal !== null && signal.aborted === true;
+
+}
+
+function closeFilesSync (openFiles) {
+
+    while (openFiles.length > 0) {
+
+        try {
+
+            fs.closeSync(openFiles.pop());
+
+        } catch (e) { }
+
+    }
+
+}
+
+function removeFilesSync (outputFiles) {
+
+    for (let i = 0; i < outputFiles.length; i += 1) {
+
+        try {
+
+            fs.unlinkSync(outputFiles[i]);
+
+        } catch (e) { }
+
+    }
+
+}
+
+async function closeFilesAsync (openFiles) {
+
+    while (openFiles.length > 0) {
+
+        try {
+
+            await openFiles.pop().close();
+
+        } catch (e) { }
+
+    }
+
+}
+
+async function removeFilesAsync (outputFiles) {
+
+    for (let i = 0; i < outputFiles.length; i += 1) {
+
+        try {
+
+            await fs.promises.unlink(outputFiles[i]);
+
+        } catch (e) { }
+
+    }
+
+}
+
+/* Run an operation synchronously. The signal is checked before each file request and, if aborted, the open files are closed and the output files removed */
+
+function runSync (operation, signal) {
+
+    const openFiles = [];
+
+    const outputFiles = [];
+
+    try {
+
+        let response = operation.next();
+
+        while (response.done === false) {
+
+            if (isCancelled(signal)) {
+
+                closeFilesSync(openFiles);
+
+                removeFilesSync(outputFiles);
+
+                return {
+                    success: false,
+                    code: CANCELLED_CODE,
+                    error: CANCELLED_ERROR
+                };
+
+            }
+
+            const request = response.value;
+
+            let result;
+
+            try {
+
+                result = syncHandlers[request.type](request);
+
+            } catch (e) {
+
+                response = operation.throw(e);
+
+                continue;
+
+            }
+
+            updateFileLists(openFiles, outputFiles, request, result);
+
+            response = operation.next(result);
+
+        }
+
+        return response.value;
+
+    } finally {
+
+        closeFilesSync(openFiles);
+
+    }
+
+}
+
+/* Run an operation asynchronously with the same cancellation behaviour */
+
+async function runAsync (operation, signal) {
+
+    const openFiles = [];
+
+    const outputFiles = [];
+
+    try {
+
+        let response = operation.next();
+
+        while (response.done === false) {
+
+            if (isCancelled(signal)) {
+
+                await closeFilesAsync(openFiles);
+
+                await removeFilesAsync(outputFiles);
+
+                return {
+                    success: false,
+                    code: CANCELLED_CODE,
+                    error: CANCELLED_ERROR
+                };
+
+            }
+
+            const request = response.value;
+
+            let result;
+
+            try {
+
+                result = await asyncHandlers[request.type](request);
+
+            } catch (e) {
+
+                response = operation.throw(e);
+
+                continue;
+
+            }
+
+            updateFileLists(openFiles, outputFiles, request, result);
+
+            response = operation.next(result);
+
+        }
+
+        return response.value;
+
+    } finally {
+
+        await closeFilesAsync(openFiles);
+
+    }
+
+}
+
+/* Exports */
+
+exports.open = open;
+exports.close = close;
+exports.read = read;
+exports.write = write;
+exports.stat = stat;
+exports.lstat = lstat;
+exports.exists = exists;
+exports.readdir = readdir;
+exports.mkdir = mkdir;
+exports.unlink = unlink;
+exports.call = call;
+
+exports.runSync = runSync;
+exports.runAsync = runAsync;
@@ -0,0 +1,477 @@
+/****************************************************************************
+ * leveller.js
+ * openacousticdevices.info
+ * October 2026
+ *****************************************************************************/
+
+'use strict';
+
+const path = require('path');
+
+const ioHandler = require('./ioHandler.js');
+const wavHandler = require('./wavHandler.js');
+const guanoHandler = require('./guanoHandler.js');
+
+/* Level adjustment types. GAIN applies a fixed gain, PEAK and RMS normalise to a target level and DC removes the mean of each channel */
+
+const LEVEL_TYPES = ['GAIN', 'PEAK', 'RMS', 'DC'];
+
+/* Decibel constants */
+
+const DECIBELS_IN_FACTOR_OF_TEN = 20;
+
+/* File buffer constants */
+
+const FILE_BUFFER_SIZE = 32 * 1024;
+
+const HEADER_BUFFER_SIZE = 32 * 1024;
+
+/* Conversion between decibels and linear gain */
+
+function decibelsToGain (decibels) {
+
+    return Math.pow(10, decibels / DECIBELS_IN_FACTOR_OF_TEN);
+
+}
+
+function gainToDecibels (gain) {
+
+    return DECIBELS_IN_FACTOR_OF_TEN * Math.log10(gain);
+
+}
+
+/* Check the level settings */
+
+function checkSettings (settings) {
+
+    if (settings === null || typeof settings !== 'object' || Array.isArray(settings)) {
+
+        return {
+            success: false,
+            code: 'E_LEVEL_SETTINGS_INVALID',
+            error: 'Level settings must be an object.'
+        };
+
+    }
+
+    if (LEVEL_TYPES.indexOf(settings.type) < 0) {
+
+        return {
+            success: false,
+            code: 'E_LEVEL_TYPE_INVALID',
+            error: 'Level type must be one of ' + LEVEL_TYPES.join(', ') + '.'
+        };
+
+    }
+
+    if (settings.type === 'GAIN' && (typeof settings.gain !== 'number' || isFinite(settings.gain) === false)) {
+
+        return {
+            success: false,
+            code: 'E_GAIN_INVALID',
+            error: 'Gain must be a number of decibels.'
+        };
+
+    }
+
+    if ((settings.type === 'PEAK' || settings.type === 'RMS') && (typeof settings.target !== 'number' || isFinite(settings.target) === false || settings.target > 0)) {
+
+        return {
+            success: false,
+            code: 'E_TARGET_LEVEL_INVALID',
+            error: 'Target level must be a number of decibels relative to full scale no greater than zero.'
+        };
+
+    }
+
+    return {
+        success: true,
+        error: null
+    };
+
+}
+
+/* Adjust the level of a WAV file */
+
+function * levelOperation (inputPath, outputPath, prefix, settings, callback) {
+
+    /* Check parameters */
+
+    prefix = prefix || '';
+
+    if (typeof prefix !== 'string') {
+
+        return {
+            success: false,
+            code: 'E_PREFIX_INVALID',
+            error: 'Filename prefix must be a string.'
+        };
+
+    }
+
+    const settingsCheck = checkSettings(settings);
+
+    if (settingsCheck.success === false) return settingsCheck;
+
+    /* Open input file */
+
+    let fi;
+
+    try {
+
+        fi = yield ioHandler.open(inputPath, 'r');
+
+    } catch (e) {
+
+        return {
+            success: false,
+            code: 'E_INPUT_OPEN',
+            error: 'Could not open input file.'
+        };
+
+    }
+
+    /* Check the output path */
+
+    outputPath = outputPath || path.parse(inputPath).dir;
+
+    if ((yield ioHandler.lstat(outputPath)).isDirectory() === false) {
+
+        return {
+            success: false,
+            code: 'E_DESTINATION_NOT_DIRECTORY',
+            error: 'Destination path is not a directory.'
+        };
+
+    }
+
+    const outputFilePath = path.join(outputPath, (prefix === '' ? '' : prefix + '_') + path.basename(inputPath));
+
+    if (path.resolve(outputFilePath) === path.resolve(inputPath)) {
+
+        return {
+            success: false,
+            code: 'E_OUTPUT_IS_INPUT',
+            error: 'Levelled file would overwrite the input file.'
+        };
+
+    }
+
+    /* Find the input file size */
+
+    let fileSize;
+
+    try {
+
+        fileSize = (yield ioHandler.stat(inputPath)).size;
+
+    } catch (e) {
+
+        return {
+            success: false,
+            code: 'E_INPUT_SIZE_READ',
+            error: 'Could not read input file size.'
+        };
+
+    }
+
+    if (fileSize === 0) {
+
+        return {
+            success: false,
+            code: 'E_INPUT_EMPTY',
+            error: 'Input file has zero size.'
+        };
+
+    }
+
+    /* Allocate buffers for reading and writing data */
+
+    const inputBuffer = Buffer.alloc(FILE_BUFFER_SIZE);
+
+    const outputBuffer = Buffer.alloc(FILE_BUFFER_SIZE);
+
+    const headerBuffer = Buffer.alloc(HEADER_BUFFER_SIZE);
+
+    /* Read the header */
+
+    try {
+
+        yield ioHandler.read(fi, headerBuffer, 0, HEADER_BUFFER_SIZE, 0);
+
+    } catch (e) {
+
+        return {
+            success: false,
+            code: 'E_HEADER_READ',
+            error: 'Could not read the input WAV header.'
+        };
+
+    }
+
+    /* Check the header */
+
+    const headerCheck = wavHandler.readHeader(headerBuffer, fileSize);
+
+    if (headerCheck.success === false) return headerCheck;
+
+    const header = headerCheck.header;
+
+    const originalHeaderSize = header.size;
+
+    const originalDataSize = header.data.size;
+
+    /* Determine settings from the input file. Samples are processed a frame at a time with one sample from each channel */
+
+    const sampleCodec = wavHandler.getSampleCodec(header.wavFormat);
+
+    const numberOfChannels = header.wavFormat.numberOfChannels;
+
+    const numberOfBytesInSample = sampleCodec.bytesPerSample;
+
+    const numberOfBytesInFrame = header.wavFormat.bytesPerCapture;
+
+    const numberOfFramesInBuffer = Math.floor(FILE_BUFFER_SIZE / numberOfBytesInFrame);
+
+    const numberOfFramesInInput = Math.floor(originalDataSize / numberOfBytesInFrame);
+
+    const dataSize = numberOfFramesInInput * numberOfBytesInFrame;
+
+    /* Levels are relative to the full scale of the sample format */
+
+    const fullScale = sampleCodec.integer ? -sampleCodec.minimum : 1;
+
+    /* Read the GUANO and any other chunks which follow the data so they can be copied unchanged */
+
+    let guano = null;
+
+    let trailingChunks = [];
+
+    if (originalDataSize + originalHeaderSize < fileSize || header.guano) {
+
+        const numberOfBytes = Math.min(fileSize - originalHeaderSize - originalDataSize, HEADER_BUFFER_SIZE);
+
+        try {
+
+            const numberOfBytesRead = yield ioHandler.read(fi, inputBuffer, 0, numberOfBytes, originalDataSize + originalHeaderSize);
+
+            if (numberOfBytesRead === numberOfBytes) {
+
+                const trailer = wavHandler.readTrailer(header, inputBuffer, numberOfBytes);
+
+                guano = trailer.guano;
+
+                trailingChunks = trailer.chunks;
+
+            }
+
+        } catch (e) {
+
+            guano = null;
+
+            trailingChunks = [];
+
+        }
+
+    }
+
+    /* Progress is split between the measuring and writing passes */
+
+    const numberOfPasses = settings.type === 'GAIN' ? 1 : 2;
+
+    let progress = 0;
+
+    const updateProgress = function (pass, numberOfFramesProcessed) {
+
+        const nextProgress = Math.round(100 * (pass + numberOfFramesProcessed / numberOfFramesInInput) / numberOfPasses);
+
+        if (nextProgress > progress) {
+
+            progress = nextProgress;
+
+            if (callback) callback(progress);
+
+        }
+
+    };
+
+    let gain = settings.type === 'GAIN' ? decibelsToGain(settings.gain) : 1;
+
+    const offsets = new Array(numberOfChannels).fill(0);
+
+    let numberOfSamplesClipped = 0;
+
+    try {
+
+        /* Measure the peak, RMS or mean of the file */
+
+        if (settings.type !== 'GAIN') {
+
+            let peak = 0;
+
+            let sumOfSquares = 0;
+
+            const totals = new Array(numberOfChannels).fill(0);
+
+            let numberOfFramesProcessed = 0;
+
+            while (numberOfFramesProcessed < numberOfFramesInInput) {
+
+                const numberOfFrames = Math.min(numberOfFramesInBuffer, numberOfFramesInInput - numberOfFramesProcessed);
+
+                yield ioHandler.read(fi, inputBuffer, 0, numberOfFrames * numberOfBytesInFrame, originalHeaderSize + numberOfFramesProcessed * numberOfBytesInFrame);
+
+                for (let frame = 0; frame < numberOfFrames; frame += 1) {
+
+                    for (let channel = 0; channel < numberOfChannels; channel += 1) {
+
+                        const value = sampleCodec.read(inputBuffer, frame * numberOfBytesInFrame + channel * numberOfBytesInSample);
+
+                        peak = Math.max(peak, Math.abs(value));
+
+                        sumOfSquares += value * value;
+
+                        totals[channel] += value;
+
+                    }
+
+                }
+
+                numberOfFramesProcessed += numberOfFrames;
+
+                updateProgress(0, numberOfFramesProcessed);
+
+            }
+
+            /* A silent file is left unchanged */
+
+            const rms = numberOfFramesInInput > 0 ? Math.sqrt(sumOfSquares / (numberOfFramesInInput * numberOfChannels)) : 0;
+
+            if (settings.type === 'PEAK' && peak > 0) gain = decibelsToGain(settings.target) * fullScale / peak;
+
+            if (settings.type === 'RMS' && rms > 0) gain = decibelsToGain(settings.target) * fullScale / rms;
+
+            if (settings.type === 'DC' && numberOfFramesInInput > 0) {
+
+                for (let channel = 0; channel < numberOfChannels; channel += 1) offsets[channel] = totals[channel] / numberOfFramesInInput;
+
+            }
+
+        }
+
+        /* Open the output file and write the header */
+
+        const fo = yield ioHandler.open(outputFilePath, 'w');
+
+        wavHandler.updateSizes(header, guano, dataSize, trailingChunks);
+
+        wavHandler.writeHeader(headerBuffer, header);
+
+        yield ioHandler.write(fo, headerBuffer, 0, wavHandler.getHeaderSize(header), null);
+
+        /* Write the adjusted samples, clipping at the limits of the sample format */
+
+        let numberOfFramesProcessed = 0;
+
+        while (numberOfFramesProcessed < numberOfFramesInInput) {
+
+            const numberOfFrames = Math.min(numberOfFramesInBuffer, numberOfFramesInInput - numberOfFramesProcessed);
+
+            yield ioHandler.read(fi, inputBuffer, 0, numberOfFrames * numberOfBytesInFrame, originalHeaderSize + numberOfFramesProcessed * numberOfBytesInFrame);
+
+            for (let frame = 0; frame < numberOfFrames; frame += 1) {
+
+                for (let channel = 0; channel < numberOfChannels; channel += 1) {
+
+                    const index = frame * numberOfBytesInFrame + channel * numberOfBytesInSample;
+
+                    let value = (sampleCodec.read(inputBuffer, index) - offsets[channel]) * gain;
+
+                    if (sampleCodec.integer) value = Math.sign(value) * Math.round(Math.abs(value));
+
+                    if (value < sampleCodec.minimum || value > sampleCodec.maximum) {
+
+                        numberOfSamplesClipped += 1;
+
+                        value = Math.max(sampleCodec.minimum, Math.min(sampleCodec.maximum, value));
+
+                    }
+
+                    sampleCodec.write(outputBuffer, index, value);
+
+                }
+
+            }
+
+            yield ioHandler.write(fo, outputBuffer, 0, numberOfFrames * numberOfBytesInFrame, null);
+
+            numberOfFramesProcessed += numberOfFrames;
+
+            updateProgress(numberOfPasses - 1, numberOfFramesProcessed);
+
+        }
+
+        /* Write any other chunks which followed the data and then the GUANO */
+
+        const numberOfTrailingBytes = wavHandler.writeTrailingChunks(outputBuffer, header, trailingChunks);
+
+        if (numberOfTrailingBytes > 0) yield ioHandler.write(fo, outputBuffer, 0, numberOfTrailingBytes, null);
+
+        if (guano) {
+
+            const guanoBuffer = Buffer.alloc(guano.size);
+
+            guanoHandler.writeGuano(guanoBuffer, guano);
+
+            yield ioHandler.write(fo, guanoBuffer, 0, guano.size, null);
+
+        }
+
+        yield ioHandler.close(fo);
+
+    } catch (e) {
+
+        return {
+            success: false,
+            code: 'E_LEVEL_FAILED',
+            error: 'An error occurred while adjusting the level of the file.'
+        };
+
+    }
+
+    if (callback && progress < 100) callback(100);
+
+    /* Close the input file */
+
+    yield ioHandler.close(fi);
+
+    /* Return success with the gain applied, any DC offsets removed and the number of samples which were clipped */
+
+    return {
+        success: true,
+        error: null,
+        gain: gainToDecibels(gain),
+        offsets: offsets,
+        numberOfSamplesClipped: numberOfSamplesClipped
+    };
+
+}
+
+/* Run level synchronously or asynchronously. The options may include an AbortSignal to cancel the operation */
+
+function level (inputPath, outputPath, prefix, settings, callback, options) {
+
+    return ioHandler.runSync(levelOperation(inputPath, outputPath, prefix, settings, callback), options && options.signal);
+
+}
+
+function levelAsync (inputPath, outputPath, prefix, settings, callback, options) {
+
+    return ioHandler.runAsync(levelOperation(inputPath, outputPath, prefix, settings, callback), options && options.signal);
+
+}
+
+/* Exports */
+
+exports.level = level;
+exports.levelAsync = levelAsync;
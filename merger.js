@@ -0,0 +1,644 @@
+/****************************************************************************
+ * merger.js
+ * openacousticdevices.info
+ * October 2026
+ *****************************************************************************/
+
+'use strict';
+
+const path = require('path');
+
+const ioHandler = require('./ioHandler.js');
+const wavHandler = require('./wavHandler.js');
+const guanoHandler = require('./guanoHandler.js');
+const filenameHandler = require('./filenameHandler.js');
+
+/* GUANO keys updated in the merged file */
+
+const GUANO_TIMESTAMP_KEY = 'Timestamp';
+
+const GUANO_LENGTH_KEY = 'Length';
+
+const GUANO_MERGE_KEY = 'OAD|Merged Files';
+
+/* Prefix used when none is given, so the merged file does not overwrite the earliest file in the same folder */
+
+const DEFAULT_PREFIX = 'MERGED';
+
+/* Time constants */
+
+const MILLISECONDS_IN_SECOND = 1000;
+
+const MILLISECONDS_IN_MINUTE = 60 * 1000;
+
+/* File buffer constants */
+
+const FILE_BUFFER_SIZE = 32 * 1024;
+
+const HEADER_BUFFER_SIZE = 32 * 1024;
+
+/* Describe a duration in seconds */
+
+function describeDuration (duration) {
+
+    return duration + ' second' + (duration === 1 ? '' : 's');
+
+}
+
+/* Find the UTC start time of a recording. The header comment gives the time to the second, refined by any milliseconds in the file name. Files without a timestamp in the comment, such as split files, use the file name and the GUANO time zone */
+
+function getStartTime (inputPath, comment, fields) {
+
+    const headerTime = filenameHandler.getHeaderTimestamp(comment);
+
+    const filenameCheck = filenameHandler.parseFilename(path.basename(inputPath));
+
+    const filenameTimestamp = filenameCheck.success && filenameCheck.dateIncluded ? filenameCheck.timestamp : null;
+
+    if (headerTime) {
+
+        const timestamp = filenameTimestamp !== null && filenameTimestamp - filenameTimestamp % MILLISECONDS_IN_SECOND === headerTime.timestamp ? filenameTimestamp : headerTime.timestamp;
+
+        return timestamp - headerTime.timezoneOffset * MILLISECONDS_IN_MINUTE;
+
+    }
+
+    if (filenameTimestamp === null) return null;
+
+    const guanoTimestamp = fields[GUANO_TIMESTAMP_KEY];
+
+    const timezoneOffset = guanoTimestamp && guanoTimestamp.date instanceof Date ? guanoTimestamp.offset || 0 : 0;
+
+    return filenameTimestamp - timezoneOffset * MILLISECONDS_IN_MINUTE;
+
+}
+
+/* Read the header, trailing chunks and start time of an input file */
+
+function * readInputOperation (inputPath, headerBuffer, trailerBuffer) {
+
+    let fi;
+
+    try {
+
+        fi = yield ioHandler.open(inputPath, 'r');
+
+    } catch (e) {
+
+        return {
+            success: false,
+            code: 'E_INPUT_OPEN',
+            error: 'Could not open input file.'
+        };
+
+    }
+
+    let fileSize;
+
+    try {
+
+        fileSize = (yield ioHandler.stat(inputPath)).size;
+
+    } catch (e) {
+
+        return {
+            success: false,
+            code: 'E_INPUT_SIZE_READ',
+            error: 'Could not read input file size.'
+        };
+
+    }
+
+    if (fileSize === 0) {
+
+        return {
+            success: false,
+            code: 'E_INPUT_EMPTY',
+            error: 'Input file has zero size.'
+        };
+
+    }
+
+    try {
+
+        yield ioHandler.read(fi, headerBuffer, 0, HEADER_BUFFER_SIZE, 0);
+
+    } catch (e) {
+
+        return {
+            success: false,
+            code: 'E_HEADER_READ',
+            error: 'Could not read the input WAV header.'
+        };
+
+    }
+
+    const headerCheck = wavHandler.readHeader(headerBuffer, fileSize);
+
+    if (headerCheck.success === false) return headerCheck;
+
+    const header = headerCheck.header;
+
+    /* Read the GUANO and any other chunks which follow the data */
+
+    let guano = header.guano;
+
+    let trailingChunks = [];
+
+    if (header.data.size + header.size < fileSize) {
+
+        const numberOfBytes = Math.min(fileSize - header.size - header.data.size, HEADER_BUFFER_SIZE);
+
+        try {
+
+            const numberOfBytesRead = yield ioHandler.read(fi, trailerBuffer, 0, numberOfBytes, header.data.size + header.size);
+
+            if (numberOfBytesRead === numberOfBytes) {
+
+                const trailer = wavHandler.readTrailer(header, trailerBuffer, numberOfBytes);
+
+                guano = trailer.guano;
+
+                trailingChunks = trailer.chunks;
+
+            }
+
+        } catch (e) {
+
+            guano = header.guano;
+
+            trailingChunks = [];
+
+        }
+
+    }
+
+    yield ioHandler.close(fi);
+
+    /* Find the start time */
+
+    const fields = guano ? guanoHandler.parseGuano(guano.contents) : {};
+
+    const startTime = getStartTime(inputPath, header.icmt.comment, fields);
+
+    if (startTime === null) {
+
+        return {
+            success: false,
+            code: 'E_HEADER_TIMESTAMP_MISSING',
+            error: 'Cannot find a timestamp in the input WAV file header or file name.'
+        };
+
+    }
+
+    const numberOfFrames = Math.floor(header.data.size / header.wavFormat.bytesPerCapture);
+
+    return {
+        success: true,
+        error: null,
+        input: {
+            inputPath: inputPath,
+            header: header,
+            headerSize: header.size,
+            numberOfFrames: numberOfFrames,
+            guano: guano,
+            fields: guano ? fields : null,
+            trailingChunks: trailingChunks,
+            startTime: startTime
+        }
+    };
+
+}
+
+/* Merge consecutive recordings into a single file in time order. Gaps between recordings are reported and may be filled with silence. Overlapping recordings are refused unless overlaps are allowed, when the repeated audio is removed from the later file */
+
+function * mergeOperation (inputPaths, outputPath, prefix, callback, options) {
+
+    /* Check parameters */
+
+    if (Array.isArray(inputPaths) === false || inputPaths.length < 2 || inputPaths.some(function (inputPath) {
+
+        return typeof inputPath !== 'string';
+
+    })) {
+
+        return {
+            success: false,
+            code: 'E_INPUT_PATHS_INVALID',
+            error: 'Input paths must be an array of at least two file paths.'
+        };
+
+    }
+
+    prefix = prefix === undefined || prefix === null ? DEFAULT_PREFIX : prefix;
+
+    if (typeof prefix !== 'string') {
+
+        return {
+            success: false,
+            code: 'E_PREFIX_INVALID',
+            error: 'Filename prefix must be a string.'
+        };
+
+    }
+
+    const fillGaps = options.fillGaps === undefined ? false : options.fillGaps;
+
+    if (typeof fillGaps !== 'boolean') {
+
+        return {
+            success: false,
+            code: 'E_FILL_GAPS_FLAG_INVALID',
+            error: 'Fill gaps flag must be a boolean.'
+        };
+
+    }
+
+    const allowOverlaps = options.allowOverlaps === undefined ? false : options.allowOverlaps;
+
+    if (typeof allowOverlaps !== 'boolean') {
+
+        return {
+            success: false,
+            code: 'E_ALLOW_OVERLAPS_FLAG_INVALID',
+            error: 'Allow overlaps flag must be a boolean.'
+        };
+
+    }
+
+    /* Read every input file */
+
+    const headerBuffer = Buffer.alloc(HEADER_BUFFER_SIZE);
+
+    const fileBuffer = Buffer.alloc(FILE_BUFFER_SIZE);
+
+    const inputs = [];
+
+    for (let i = 0; i < inputPaths.length; i += 1) {
+
+        const result = yield * readInputOperation(inputPaths[i], headerBuffer, fileBuffer);
+
+        if (result.success === false) {
+
+            result.inputPath = inputPaths[i];
+
+            return result;
+
+        }
+
+        inputs.push(result.input);
+
+    }
+
+    /* Check every file has the format of the first */
+
+    const wavFormat = inputs[0].header.wavFormat;
+
+    for (let i = 1; i < inputs.length; i += 1) {
+
+        const inputFormat = inputs[i].header.wavFormat;
+
+        if (inputFormat.samplesPerSecond !== wavFormat.samplesPerSecond) {
+
+            return {
+                success: false,
+                code: 'E_SAMPLE_RATE_MISMATCH',
+                error: 'Sample rate of ' + path.basename(inputs[i].inputPath) + ' does not match ' + path.basename(inputs[0].inputPath) + '.',
+                inputPath: inputs[i].inputPath
+            };
+
+        }
+
+        if (inputFormat.format !== wavFormat.format || inputFormat.numberOfChannels !== wavFormat.numberOfChannels || inputFormat.bitsPerSample !== wavFormat.bitsPerSample) {
+
+            return {
+                success: false,
+                code: 'E_WAVE_FORMAT_UNEXPECTED',
+                error: 'Sample format of ' + path.basename(inputs[i].inputPath) + ' does not match ' + path.basename(inputs[0].inputPath) + '.',
+                inputPath: inputs[i].inputPath
+            };
+
+        }
+
+    }
+
+    /* Order the files by start time */
+
+    inputs.sort(function (a, b) {
+
+        return a.startTime - b.startTime;
+
+    });
+
+    /* Check the output path */
+
+    outputPath = outputPath || path.parse(inputs[0].inputPath).dir;
+
+    if ((yield ioHandler.lstat(outputPath)).isDirectory() === false) {
+
+        return {
+            success: false,
+            code: 'E_DESTINATION_NOT_DIRECTORY',
+            error: 'Destination path is not a directory.'
+        };
+
+    }
+
+    const outputFilePath = path.join(outputPath, (prefix === '' ? '' : prefix + '_') + path.basename(inputs[0].inputPath));
+
+    for (let i = 0; i < inputs.length; i += 1) {
+
+        if (path.resolve(outputFilePath) === path.resolve(inputs[i].inputPath)) {
+
+            return {
+                success: false,
+                code: 'E_OUTPUT_IS_INPUT',
+                error: 'Merged file would overwrite an input file.'
+            };
+
+        }
+
+    }
+
+    /* Find the gaps and overlaps between the end of the audio so far and the start of each file, to the nearest sample */
+
+    const sampleRate = wavFormat.samplesPerSecond;
+
+    const gaps = [];
+
+    const overlaps = [];
+
+    const segments = [];
+
+    let endTime = inputs[0].startTime;
+
+    let numberOfFramesInOutput = 0;
+
+    let numberOfSilentFrames = 0;
+
+    for (let i = 0; i < inputs.length; i += 1) {
+
+        const input = inputs[i];
+
+        const offset = i === 0 ? 0 : Math.round((input.startTime - endTime) * sampleRate / MILLISECONDS_IN_SECOND);
+
+        let silence = 0;
+
+        let skip = 0;
+
+        if (offset > 0) {
+
+            gaps.push({
+                inputPath: input.inputPath,
+                duration: offset / sampleRate
+            });
+
+            if (fillGaps) silence = offset;
+
+        }
+
+        if (offset < 0) {
+
+            if (allowOverlaps === false) {
+
+                return {
+                    success: false,
+                    code: 'E_RECORDINGS_OVERLAP',
+                    error: path.basename(input.inputPath) + ' overlaps the previous recording by ' + describeDuration(-offset / sampleRate) + '.',
+                    inputPath: input.inputPath
+                };
+
+            }
+
+            overlaps.push({
+                inputPath: input.inputPath,
+                duration: -offset / sampleRate
+            });
+
+            skip = Math.min(-offset, input.numberOfFrames);
+
+        }
+
+        segments.push({
+            input: input,
+            silence: silence,
+            skip: skip
+        });
+
+        numberOfFramesInOutput += silence + input.numberOfFrames - skip;
+
+        numberOfSilentFrames += silence;
+
+        endTime = Math.max(endTime, input.startTime + input.numberOfFrames * MILLISECONDS_IN_SECOND / sampleRate);
+
+    }
+
+    /* The merged file takes the header and trailing chunks of the first file, with a note of the merge in the comment */
+
+    const header = inputs[0].header;
+
+    const numberOfBytesInFrame = wavFormat.bytesPerCapture;
+
+    const numberOfFramesInBuffer = Math.floor(FILE_BUFFER_SIZE / numberOfBytesInFrame);
+
+    const dataSize = numberOfFramesInOutput * numberOfBytesInFrame;
+
+    const trailingChunks = inputs[0].trailingChunks;
+
+    let note = 'Merged from ' + inputs.length + ' files';
+
+    if (numberOfSilentFrames > 0) note += ' with ' + describeDuration(numberOfSilentFrames / sampleRate) + ' of silence filling gaps';
+
+    const comment = header.icmt.comment;
+
+    wavHandler.extendComment(header, comment + (comment === '' ? '' : ' ') + note + '.');
+
+    /* Merge the GUANO fields, starting from the earliest file which has a GUANO so its text is kept, and adding fields only found in later files */
+
+    let guano = null;
+
+    let fields = null;
+
+    for (let i = 0; i < inputs.length; i += 1) {
+
+        if (inputs[i].fields === null) continue;
+
+        if (fields === null) {
+
+            guano = inputs[i].guano;
+
+            fields = inputs[i].fields;
+
+            continue;
+
+        }
+
+        const keys = Object.keys(inputs[i].fields);
+
+        for (let j = 0; j < keys.length; j += 1) {
+
+            if (fields[keys[j]] === undefined) fields[keys[j]] = inputs[i].fields[keys[j]];
+
+        }
+
+    }
+
+    if (fields) {
+
+        fields[GUANO_LENGTH_KEY] = numberOfFramesInOutput / sampleRate;
+
+        fields[GUANO_MERGE_KEY] = inputs.length;
+
+        guanoHandler.updateContents(guano, guanoHandler.serialiseGuano(fields));
+
+    }
+
+    /* Silence for filling gaps */
+
+    const silenceBuffer = Buffer.alloc(numberOfFramesInBuffer * numberOfBytesInFrame);
+
+    const sampleCodec = wavHandler.getSampleCodec(wavFormat);
+
+    for (let index = 0; index < silenceBuffer.length; index += sampleCodec.bytesPerSample) sampleCodec.write(silenceBuffer, index, 0);
+
+    /* Progress is the proportion of the output written */
+
+    let progress = 0;
+
+    let numberOfFramesWritten = 0;
+
+    const updateProgress = function (numberOfFrames) {
+
+        numberOfFramesWritten += numberOfFrames;
+
+        const nextProgress = numberOfFramesInOutput > 0 ? Math.round(100 * numberOfFramesWritten / numberOfFramesInOutput) : 100;
+
+        if (nextProgress > progress) {
+
+            progress = nextProgress;
+
+            if (callback) callback(progress);
+
+        }
+
+    };
+
+    try {
+
+        /* Open the output file and write the header */
+
+        const fo = yield ioHandler.open(outputFilePath, 'w');
+
+        wavHandler.updateSizes(header, guano, dataSize, trailingChunks);
+
+        wavHandler.writeHeader(headerBuffer, header);
+
+        yield ioHandler.write(fo, headerBuffer, 0, wavHandler.getHeaderSize(header), null);
+
+        /* Write each file in turn after any silence which fills the gap before it */
+
+        for (let i = 0; i < segments.length; i += 1) {
+
+            const segment = segments[i];
+
+            let numberOfFramesRemaining = segment.silence;
+
+            while (numberOfFramesRemaining > 0) {
+
+                const numberOfFrames = Math.min(numberOfFramesInBuffer, numberOfFramesRemaining);
+
+                yield ioHandler.write(fo, silenceBuffer, 0, numberOfFrames * numberOfBytesInFrame, null);
+
+                numberOfFramesRemaining -= numberOfFrames;
+
+                updateProgress(numberOfFrames);
+
+            }
+
+            const fi = yield ioHandler.open(segment.input.inputPath, 'r');
+
+            let frame = segment.skip;
+
+            while (frame < segment.input.numberOfFrames) {
+
+                const numberOfFrames = Math.min(numberOfFramesInBuffer, segment.input.numberOfFrames - frame);
+
+                yield ioHandler.read(fi, fileBuffer, 0, numberOfFrames * numberOfBytesInFrame, segment.input.headerSize + frame * numberOfBytesInFrame);
+
+                yield ioHandler.write(fo, fileBuffer, 0, numberOfFrames * numberOfBytesInFrame, null);
+
+                frame += numberOfFrames;
+
+                updateProgress(numberOfFrames);
+
+            }
+
+            yield ioHandler.close(fi);
+
+        }
+
+        /* Write any other chunks which followed the data and then the GUANO */
+
+        const numberOfTrailingBytes = wavHandler.writeTrailingChunks(fileBuffer, header, trailingChunks);
+
+        if (numberOfTrailingBytes > 0) yield ioHandler.write(fo, fileBuffer, 0, numberOfTrailingBytes, null);
+
+        if (guano) {
+
+            const guanoBuffer = Buffer.alloc(guano.size);
+
+            guanoHandler.writeGuano(guanoBuffer, guano);
+
+            yield ioHandler.write(fo, guanoBuffer, 0, guano.size, null);
+
+        }
+
+        yield ioHandler.close(fo);
+
+    } catch (e) {
+
+        return {
+            success: false,
+            code: 'E_MERGE_FAILED',
+            error: 'An error occurred while merging the files.'
+        };
+
+    }
+
+    if (callback && progress < 100) callback(100);
+
+    /* Return success with the files in the order they were merged, the duration of the merged file and any gaps or overlaps between the files */
+
+    return {
+        success: true,
+        error: null,
+        inputPaths: inputs.map(function (input) {
+
+            return input.inputPath;
+
+        }),
+        duration: numberOfFramesInOutput / sampleRate,
+        gaps: gaps,
+        overlaps: overlaps
+    };
+
+}
+
+/* Run merge synchronously or asynchronously. The options may include fillGaps, allowOverlaps and an AbortSignal to cancel the operation */
+
+function merge (inputPaths, outputPath, prefix, callback, options) {
+
+    return ioHandler.runSync(mergeOperation(inputPaths, outputPath, prefix, callback, options || {}), options && options.signal);
+
+}
+
+function mergeAsync (inputPaths, outputPath, prefix, callback, options) {
+
+    return ioHandler.runAsync(mergeOperation(inputPaths, outputPath, prefix, callback, options || {}), options && options.signal);
+
+}
+
+/* Exports */
+
+exports.merge = merge;
+exports.mergeAsync = mergeAsync;
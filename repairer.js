@@ -0,0 +1,306 @@
+/****************************************************************************
+ * repairer.js
+ * openacousticdevices.info
+ * October 2026
+ *****************************************************************************/
+
+'use strict';
+
+const path = require('path');
+
+const ioHandler = require('./ioHandler.js');
+const wavHandler = require('./wavHandler.js');
+const guanoHandler = require('./guanoHandler.js');
+
+/* File buffer constants */
+
+const HEADER_BUFFER_SIZE = 32 * 1024;
+
+const FILE_BUFFER_SIZE = 32 * 1024;
+
+/* Repair a WAV file whose header sizes do not match the file */
+
+function * repairOperation (inputPath, outputPath, callback) {
+
+    /* Open input file */
+
+    let fi;
+
+    try {
+
+        fi = yield ioHandler.open(inputPath, 'r');
+
+    } catch (e) {
+
+        return {
+            success: false,
+            code: 'E_INPUT_OPEN',
+            error: 'Could not open input file.'
+        };
+
+    }
+
+    /* Check the output path */
+
+    outputPath = outputPath || path.parse(inputPath).dir;
+
+    if ((yield ioHandler.lstat(outputPath)).isDirectory() === false) {
+
+        return {
+            success: false,
+            code: 'E_DESTINATION_NOT_DIRECTORY',
+            error: 'Destination path is not a directory.'
+        };
+
+    }
+
+    const outputFilePath = path.join(outputPath, path.basename(inputPath));
+
+    if (path.resolve(outputFilePath) === path.resolve(inputPath)) {
+
+        return {
+            success: false,
+            code: 'E_OUTPUT_IS_INPUT',
+            error: 'Repaired file would overwrite the input file.'
+        };
+
+    }
+
+    /* Find the input file size */
+
+    let fileSize;
+
+    try {
+
+        fileSize = (yield ioHandler.stat(inputPath)).size;
+
+    } catch (e) {
+
+        return {
+            success: false,
+            code: 'E_INPUT_SIZE_READ',
+            error: 'Could not read input file size.'
+        };
+
+    }
+
+    if (fileSize === 0) {
+
+        return {
+            success: false,
+            code: 'E_INPUT_EMPTY',
+            error: 'Input file has zero size.'
+        };
+
+    }
+
+    /* Allocate buffers for reading data */
+
+    const fileBuffer = Buffer.alloc(FILE_BUFFER_SIZE);
+
+    const headerBuffer = Buffer.alloc(HEADER_BUFFER_SIZE);
+
+    /* Read the header */
+
+    try {
+
+        yield ioHandler.read(fi, headerBuffer, 0, HEADER_BUFFER_SIZE, 0);
+
+    } catch (e) {
+
+        return {
+            success: false,
+            code: 'E_HEADER_READ',
+            error: 'Could not read the input WAV header.'
+        };
+
+    }
+
+    /* Check the header without checking the RIFF and DATA sizes */
+
+    const headerCheck = wavHandler.readHeader(headerBuffer, fileSize, true);
+
+    if (headerCheck.success === false) return headerCheck;
+
+    const header = headerCheck.header;
+
+    const headerSize = header.size;
+
+    /* Find the end of the audio data */
+
+    let dataEnd = fileSize;
+
+    if (header.data.size > 0 && headerSize + header.data.size <= fileSize) {
+
+        /* The DATA size still fits in the file so only the RIFF size is wrong */
+
+        dataEnd = headerSize + header.data.size;
+
+    } else {
+
+        /* The DATA size was not written so look for GUANO and other chunks near the end of the file */
+
+        const numberOfBytes = Math.min(fileSize - headerSize, HEADER_BUFFER_SIZE);
+
+        try {
+
+            const numberOfBytesRead = yield ioHandler.read(fi, fileBuffer, 0, numberOfBytes, fileSize - numberOfBytes);
+
+            const index = wavHandler.findTrailingChunks(fileBuffer, numberOfBytesRead);
+
+            if (index >= 0) dataEnd = fileSize - numberOfBytesRead + index;
+
+        } catch (e) {
+
+            dataEnd = fileSize;
+
+        }
+
+    }
+
+    /* Read the GUANO and any other chunks which follow the data */
+
+    header.data.size = dataEnd - headerSize;
+
+    let guano = header.guano;
+
+    let trailingChunks = [];
+
+    if (dataEnd < fileSize) {
+
+        const numberOfBytes = Math.min(fileSize - dataEnd, HEADER_BUFFER_SIZE);
+
+        try {
+
+            const numberOfBytesRead = yield ioHandler.read(fi, fileBuffer, 0, numberOfBytes, dataEnd);
+
+            const trailer = wavHandler.readTrailer(header, fileBuffer, numberOfBytesRead);
+
+            guano = trailer.guano;
+
+            trailingChunks = trailer.chunks;
+
+        } catch (e) {
+
+            guano = header.guano;
+
+            trailingChunks = [];
+
+        }
+
+    }
+
+    /* Trim the audio data to a whole number of samples from every channel */
+
+    const bytesPerCapture = header.wavFormat.bytesPerCapture;
+
+    const numberOfSamplesRecovered = Math.floor(header.data.size / bytesPerCapture);
+
+    const dataSize = numberOfSamplesRecovered * bytesPerCapture;
+
+    /* Write the output file */
+
+    let progress = 0;
+
+    try {
+
+        const fo = yield ioHandler.open(outputFilePath, 'w');
+
+        /* Write the rebuilt header */
+
+        wavHandler.updateSizes(header, guano, dataSize, trailingChunks);
+
+        wavHandler.writeHeader(headerBuffer, header);
+
+        yield ioHandler.write(fo, headerBuffer, 0, wavHandler.getHeaderSize(header), null);
+
+        /* Copy the data */
+
+        let index = 0;
+
+        while (index < dataSize) {
+
+            const numberOfBytes = Math.min(FILE_BUFFER_SIZE, dataSize - index);
+
+            yield ioHandler.read(fi, fileBuffer, 0, numberOfBytes, headerSize + index);
+
+            yield ioHandler.write(fo, fileBuffer, 0, numberOfBytes, null);
+
+            index += numberOfBytes;
+
+            /* Callback with progress */
+
+            const nextProgress = Math.round(100 * index / dataSize);
+
+            if (nextProgress > progress) {
+
+                progress = nextProgress;
+
+                if (callback) callback(progress);
+
+            }
+
+        }
+
+        /* Write any other chunks which followed the data and then the GUANO */
+
+        const numberOfTrailingBytes = wavHandler.writeTrailingChunks(fileBuffer, header, trailingChunks);
+
+        if (numberOfTrailingBytes > 0) yield ioHandler.write(fo, fileBuffer, 0, numberOfTrailingBytes, null);
+
+        if (guano) {
+
+            guanoHandler.writeGuano(fileBuffer, guano);
+
+            yield ioHandler.write(fo, fileBuffer, 0, guano.size, null);
+
+        }
+
+        yield ioHandler.close(fo);
+
+    } catch (e) {
+
+        return {
+            success: false,
+            code: 'E_REPAIR_FAILED',
+            error: 'An error occurred while repairing the file.'
+        };
+
+    }
+
+    if (callback && progress < 100) callback(100);
+
+    /* Close the input file */
+
+    yield ioHandler.close(fi);
+
+    /* Return success with the amount of audio recovered */
+
+    return {
+        success: true,
+        error: null,
+        numberOfSamplesRecovered: numberOfSamplesRecovered,
+        durationRecovered: numberOfSamplesRecovered / header.wavFormat.samplesPerSecond,
+        numberOfBytesDiscarded: dataEnd - headerSize - dataSize
+    };
+
+}
+
+/* Run repair synchronously or asynchronously. The options may include an AbortSignal to cancel the operation */
+
+function repair (inputPath, outputPath, callback, options) {
+
+    return ioHandler.runSync(repairOperation(inputPath, outputPath, callback), options && options.signal);
+
+}
+
+function repairAsync (inputPath, outputPath, callback, options) {
+
+    return ioHandler.runAsync(repairOperation(inputPath, outputPath, callback), options && options.signal);
+
+}
+
+/* Exports */
+
+exports.repair = repair;
+exports.repairAsync = repairAsync;
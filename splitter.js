@@ -6,12 +6,13 @@
 
 'use strict';
 
-const fs = require('fs');
 const path = require('path');
 
+const ioHandler = require('./ioHandler.js');
 const wavHandler = require('./wavHandler.js');
 const guanoHandler = require('./guanoHandler.js');
 const filenameHandler = require('./filenameHandler.js');
+const csvReader = require('./csvReader.js');
 
 /* Debug constant */
 
@@ -19,8 +20,6 @@ const DEBUG = false;
 
 /* File buffer constants */
 
-const NUMBER_OF_BYTES_IN_SAMPLE = 2;
-
 const HEADER_BUFFER_SIZE = 32 * 1024;
 
 const FILE_BUFFER_SIZE = 32 * 1024;
@@ -31,13 +30,19 @@ const SECONDS_IN_DAY = 24 * 60 * 60;
 
 const MILLISECONDS_IN_SECOND = 1000;
 
-const TIMESTAMP_REGEX = /\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d/;
+const MILLISECONDS_IN_DAY = SECONDS_IN_DAY * MILLISECONDS_IN_SECOND;
+
+const MILLISECONDS_IN_MINUTE = 60 * MILLISECONDS_IN_SECOND;
+
+const MINUTES_IN_HOUR = 60;
+
+/* Range constants. Times are either offsets in seconds from the start of the file or ISO 8601 timestamps, which are in the local time of the WAV header unless they give a time zone */
 
-/* Buffers for reading data */
+const RANGE_COLUMN_NAMES = ['START', 'END'];
 
-const fileBuffer = Buffer.alloc(FILE_BUFFER_SIZE);
+const RANGE_NUMBER_REGEX = /^\s*[-+]?(\d+\.?\d*|\.\d+)\s*$/;
 
-const headerBuffer = Buffer.alloc(HEADER_BUFFER_SIZE);
+const RANGE_TIMESTAMP_REGEX = /^\s*(\d{4})-(\d\d)-(\d\d)[T ](\d\d):(\d\d):(\d\d)(\.\d+)?(Z|([-+])(\d\d):?(\d\d))?\s*$/;
 
 /* Date functions */
 
@@ -49,31 +54,23 @@ function digits (value, number) {
 
 }
 
-function formatFilename (timestamp, existingPostfix) {
+function formatFilename (timestamp, existingPostfix, milliseconds) {
 
     const date = new Date(timestamp);
 
     let filename = date.getUTCFullYear() + digits(date.getUTCMonth() + 1, 2) + digits(date.getUTCDate(), 2) + '_' + digits(date.getUTCHours(), 2) + digits(date.getUTCMinutes(), 2) + digits(date.getUTCSeconds(), 2);
 
+    if (milliseconds) filename += '_' + digits(date.getUTCMilliseconds(), 3);
+
     filename += existingPostfix + '.WAV';
 
     return filename;
 
 }
 
-function formatTimestamp (timestamp) {
-
-    const date = new Date(timestamp);
-
-    const string = date.getUTCFullYear() + '-' + digits(date.getUTCMonth() + 1, 2) + '-' + digits(date.getUTCDate(), 2) + 'T' + digits(date.getUTCHours(), 2) + ':' + digits(date.getUTCMinutes(), 2) + ':' + digits(date.getUTCSeconds(), 2);
-
-    return string;
-
-}
-
-/* Write the output file */
+/* Write the output file, copying length bytes of audio from offset in the input file. The comment may grow the header so the offset is from the start of the input file rather than its data */
 
-function writeOutputFile (fi, outputPath, header, guano, comment, contents, offset, length, callback) {
+function * writeOutputFile (fi, outputPath, header, guano, chunks, comment, contents, offset, length, headerBuffer, fileBuffer, callback) {
 
     if (DEBUG) {
 
@@ -87,25 +84,25 @@ function writeOutputFile (fi, outputPath, header, guano, comment, contents, offs
 
         console.log('Length: ' + length);
 
-        console.log('Duration: ' + Math.round(length / header.wavFormat.samplesPerSecond / NUMBER_OF_BYTES_IN_SAMPLE * MILLISECONDS_IN_SECOND));
+        console.log('Duration: ' + Math.round(length / header.wavFormat.samplesPerSecond / header.wavFormat.bytesPerCapture * MILLISECONDS_IN_SECOND));
 
     }
 
-    const fo = fs.openSync(outputPath, 'w');
+    const fo = yield ioHandler.open(outputPath, 'w');
 
     /* Update WAV header and GUANO */
 
-    if (comment) wavHandler.updateComment(header, comment);
+    if (comment) wavHandler.extendComment(header, comment);
 
     if (guano && contents) guanoHandler.updateContents(guano, contents);
 
-    wavHandler.updateSizes(header, guano, length);
+    wavHandler.updateSizes(header, guano, length, chunks);
 
     /* Write the WAV header */
 
     wavHandler.writeHeader(headerBuffer, header);
 
-    fs.writeSync(fo, headerBuffer, 0, header.size, null);
+    yield ioHandler.write(fo, headerBuffer, 0, wavHandler.getHeaderSize(header), null);
 
     /* Write the data */
 
@@ -119,9 +116,9 @@ function writeOutputFile (fi, outputPath, header, guano, comment, contents, offs
 
         /* Read from input file, and then write file buffer */
 
-        fs.readSync(fi, fileBuffer, 0, numberOfBytes, header.size + index);
+        yield ioHandler.read(fi, fileBuffer, 0, numberOfBytes, index);
 
-        fs.writeSync(fo, fileBuffer, 0, numberOfBytes, null);
+        yield ioHandler.write(fo, fileBuffer, 0, numberOfBytes, null);
 
         /* Increment bytes written and move to next file summary component if appropriate */
 
@@ -133,58 +130,31 @@ function writeOutputFile (fi, outputPath, header, guano, comment, contents, offs
 
     }
 
+    /* Write any other chunks which followed the data */
+
+    const numberOfTrailingBytes = wavHandler.writeTrailingChunks(fileBuffer, header, chunks);
+
+    if (numberOfTrailingBytes > 0) yield ioHandler.write(fo, fileBuffer, 0, numberOfTrailingBytes, null);
+
     /* Write the GUANO */
 
     if (guano) {
 
         guanoHandler.writeGuano(fileBuffer, guano);
 
-        fs.writeSync(fo, fileBuffer, 0, guano.size, null);
+        yield ioHandler.write(fo, fileBuffer, 0, guano.size, null);
 
     }
 
     /* Close the output file */
 
-    fs.closeSync(fo);
+    yield ioHandler.close(fo);
 
 }
 
-/* Split a WAV file */
-
-function split (inputPath, outputPath, prefix, maximumFileDuration, callback) {
+/* Open the input file, check its header and file name, and read the GUANO and any other chunks which follow the data */
 
-    /* Check parameter */
-
-    prefix = prefix || '';
-
-    maximumFileDuration = maximumFileDuration || SECONDS_IN_DAY;
-
-    if (maximumFileDuration !== Math.round(maximumFileDuration)) {
-
-        return {
-            success: false,
-            error: 'Maximum file duration must be an integer.'
-        };
-
-    }
-
-    if (maximumFileDuration <= 0) {
-
-        return {
-            success: false,
-            error: 'Maximum file duration must be greater than zero.'
-        };
-
-    }
-
-    if (typeof prefix !== 'string') {
-
-        return {
-            success: false,
-            error: 'Filename prefix must be a string.'
-        };
-
-    }
+function * openInputFile (inputPath, outputPath) {
 
     /* Open input file */
 
@@ -192,12 +162,13 @@ function split (inputPath, outputPath, prefix, maximumFileDuration, callback) {
 
     try {
 
-        fi = fs.openSync(inputPath, 'r');
+        fi = yield ioHandler.open(inputPath, 'r');
 
     } catch (e) {
 
         return {
             success: false,
+            code: 'E_INPUT_OPEN',
             error: 'Could not open input file.'
         };
 
@@ -207,10 +178,11 @@ function split (inputPath, outputPath, prefix, maximumFileDuration, callback) {
 
     outputPath = outputPath || path.parse(inputPath).dir;
 
-    if (fs.lstatSync(outputPath).isDirectory() === false) {
+    if ((yield ioHandler.lstat(outputPath)).isDirectory() === false) {
 
         return {
             success: false,
+            code: 'E_DESTINATION_NOT_DIRECTORY',
             error: 'Destination path is not a directory.'
         };
 
@@ -222,12 +194,13 @@ function split (inputPath, outputPath, prefix, maximumFileDuration, callback) {
 
     try {
 
-        fileSize = fs.statSync(inputPath).size;
+        fileSize = (yield ioHandler.stat(inputPath)).size;
 
     } catch (e) {
 
         return {
             success: false,
+            code: 'E_INPUT_SIZE_READ',
             error: 'Could not read input file size.'
         };
 
@@ -237,21 +210,29 @@ function split (inputPath, outputPath, prefix, maximumFileDuration, callback) {
 
         return {
             success: false,
+            code: 'E_INPUT_EMPTY',
             error: 'Input file has zero size.'
         };
 
     }
 
+    /* Allocate buffers for reading data */
+
+    const fileBuffer = Buffer.alloc(FILE_BUFFER_SIZE);
+
+    const headerBuffer = Buffer.alloc(HEADER_BUFFER_SIZE);
+
     /* Read the header */
 
     try {
 
-        fs.readSync(fi, headerBuffer, 0, FILE_BUFFER_SIZE, 0);
+        yield ioHandler.read(fi, headerBuffer, 0, FILE_BUFFER_SIZE, 0);
 
     } catch (e) {
 
         return {
             success: false,
+            code: 'E_HEADER_READ',
             error: 'Could not read the input WAV header.'
         };
 
@@ -263,8 +244,6 @@ function split (inputPath, outputPath, prefix, maximumFileDuration, callback) {
 
     if (headerCheck.success === false) return headerCheck;
 
-    /* Extract the header */
-
     const header = headerCheck.header;
 
     /* Check the filename against header */
@@ -275,6 +254,163 @@ function split (inputPath, outputPath, prefix, maximumFileDuration, callback) {
 
     if (filenameCheck.success === false) return filenameCheck;
 
+    /* Read the GUANO and any other chunks which follow the data */
+
+    let guano, fields;
+
+    let trailingChunks = [];
+
+    if (header.data.size + header.size < fileSize || header.guano) {
+
+        const numberOfBytes = Math.min(fileSize - header.size - header.data.size, HEADER_BUFFER_SIZE);
+
+        try {
+
+            /* Read end of file into the buffer */
+
+            const numberOfBytesRead = yield ioHandler.read(fi, fileBuffer, 0, numberOfBytes, header.data.size + header.size);
+
+            if (numberOfBytesRead === numberOfBytes) {
+
+                /* Parse the chunks */
+
+                const trailer = wavHandler.readTrailer(header, fileBuffer, numberOfBytes);
+
+                trailingChunks = trailer.chunks;
+
+                if (trailer.guano) {
+
+                    guano = trailer.guano;
+
+                    fields = guanoHandler.parseGuano(guano.contents);
+
+                }
+
+            }
+
+        } catch (e) {
+
+            guano = null;
+
+            fields = null;
+
+        }
+
+    }
+
+    return {
+        success: true,
+        fi: fi,
+        outputPath: outputPath,
+        header: header,
+        filenameCheck: filenameCheck,
+        guano: guano,
+        fields: fields,
+        trailingChunks: trailingChunks,
+        headerBuffer: headerBuffer,
+        fileBuffer: fileBuffer
+    };
+
+}
+
+/* Split a WAV file */
+
+function * splitOperation (inputPath, outputPath, prefix, maximumFileDuration, callback, options) {
+
+    /* Check parameter */
+
+    prefix = prefix || '';
+
+    maximumFileDuration = maximumFileDuration || SECONDS_IN_DAY;
+
+    if (maximumFileDuration !== Math.round(maximumFileDuration)) {
+
+        return {
+            success: false,
+            code: 'E_DURATION_NOT_INTEGER',
+            error: 'Maximum file duration must be an integer.'
+        };
+
+    }
+
+    if (maximumFileDuration <= 0) {
+
+        return {
+            success: false,
+            code: 'E_DURATION_NOT_POSITIVE',
+            error: 'Maximum file duration must be greater than zero.'
+        };
+
+    }
+
+    const overlap = options.overlap || 0;
+
+    if (overlap !== Math.round(overlap) || overlap < 0 || overlap >= maximumFileDuration) {
+
+        return {
+            success: false,
+            code: 'E_OVERLAP_INVALID',
+            error: 'Overlap must be a whole number of seconds less than the maximum file duration.'
+        };
+
+    }
+
+    if (typeof prefix !== 'string') {
+
+        return {
+            success: false,
+            code: 'E_PREFIX_INVALID',
+            error: 'Filename prefix must be a string.'
+        };
+
+    }
+
+    if (options.template !== undefined && filenameHandler.checkTemplate(options.template) === false) {
+
+        return {
+            success: false,
+            code: 'E_TEMPLATE_INVALID',
+            error: 'Filename template is not valid.'
+        };
+
+    }
+
+    if (options.timezone !== undefined && filenameHandler.checkTimezone(options.timezone) === false) {
+
+        return {
+            success: false,
+            code: 'E_TIMEZONE_INVALID',
+            error: 'Time zone is not valid.'
+        };
+
+    }
+
+    /* Open the input file and read its header and GUANO */
+
+    const input = yield * openInputFile(inputPath, outputPath);
+
+    if (input.success === false) return input;
+
+    const fi = input.fi;
+
+    const header = input.header;
+
+    const dataOffset = header.size;
+
+    const filenameCheck = input.filenameCheck;
+
+    const guano = input.guano;
+
+    const fields = input.fields;
+
+    const trailingChunks = input.trailingChunks;
+
+    const headerBuffer = input.headerBuffer;
+
+    const fileBuffer = input.fileBuffer;
+
+    outputPath = input.outputPath;
+
     /* Extract original timestamp and existing prefix and postfix */
 
     const existingPostfix = filenameCheck.existingPostfix;
@@ -283,6 +419,16 @@ function split (inputPath, outputPath, prefix, maximumFileDuration, callback) {
 
     const originalTimestamp = filenameCheck.originalTimestamp;
 
+    /* Values for the output filename template, if one is given */
+
+    const templateValues = {
+        prefix: prefix,
+        deviceID: header.iart.artist,
+        timezoneOffset: filenameCheck.timezoneOffset,
+        type: filenameHandler.SPLIT,
+        name: path.parse(inputPath).name
+    };
+
     /* Determine settings from the input file */
 
     const inputFileDataSize = header.data.size;
@@ -297,24 +443,48 @@ function split (inputPath, outputPath, prefix, maximumFileDuration, callback) {
 
     let timestamp = originalTimestamp;
 
+    /* When aligning to the clock, the first file ends at the next multiple of the maximum file duration since midnight in the time zone used for the file names */
+
+    let fileDuration = maximumFileDuration;
+
+    const numberOfBytesInSecond = header.wavFormat.samplesPerSecond * header.wavFormat.bytesPerCapture;
+
+    if (options.alignToClock) {
+
+        const clockTimestamp = filenameHandler.convertTimestamp(originalTimestamp, filenameCheck.timezoneOffset, options.timezone).timestamp;
+
+        const secondsSinceMidnight = Math.floor((clockTimestamp % MILLISECONDS_IN_DAY) / MILLISECONDS_IN_SECOND);
+
+        fileDuration = maximumFileDuration - secondsSinceMidnight % maximumFileDuration;
+
+    }
+
     while (numberOfBytesProcessed < inputFileDataSize) {
 
-        /* Determine the number of bytes to write */
+        /* Determine the number of bytes to write. Each capture holds one sample from every channel so files always end on a whole frame */
+
+        const numberOfBytes = Math.min(fileDuration * numberOfBytesInSecond, inputFileDataSize - numberOfBytesProcessed);
+
+        /* Add the output file, starting each file after the first early so that it overlaps the previous file */
 
-        const numberOfBytes = Math.min(maximumFileDuration * header.wavFormat.samplesPerSecond * NUMBER_OF_BYTES_IN_SAMPLE, inputFileDataSize - numberOfBytesProcessed);
+        const numberOfOverlapBytes = Math.min(overlap * numberOfBytesInSecond, numberOfBytesProcessed);
 
-        /* Add the output file if appropriate */
+        /* A short first file which is entirely overlapped by this one is left out */
+
+        if (outputFileList.length > 0 && outputFileList[outputFileList.length - 1].offset >= numberOfBytesProcessed - numberOfOverlapBytes) outputFileList.pop();
 
         outputFileList.push({
-            timestamp: timestamp,
-            offset: numberOfBytesProcessed,
-            length: numberOfBytes
+            timestamp: timestamp - numberOfOverlapBytes / numberOfBytesInSecond * MILLISECONDS_IN_SECOND,
+            offset: numberOfBytesProcessed - numberOfOverlapBytes,
+            length: numberOfBytes + numberOfOverlapBytes
         });
 
-        timestamp += maximumFileDuration * MILLISECONDS_IN_SECOND;
+        timestamp += fileDuration * MILLISECONDS_IN_SECOND;
 
         numberOfBytesProcessed += numberOfBytes;
 
+        fileDuration = maximumFileDuration;
+
     }
 
     /* Show the pruned output */
@@ -325,44 +495,40 @@ function split (inputPath, outputPath, prefix, maximumFileDuration, callback) {
 
     }
 
-    /* Read the GUANO if present */
+    /* Name the output files, which must not overwrite each other or the input file */
 
-    let guano, contents;
+    const wholeFile = outputFileList.length === 1 && outputFileList[0].offset === 0 && outputFileList[0].length === inputFileDataSize;
 
-    if (header.data.size + header.size < fileSize) {
-
-        const numberOfBytes = Math.min(fileSize - header.size - header.data.size, HEADER_BUFFER_SIZE);
-
-        try {
-
-            /* Read end of file into the buffer */
+    const filenames = [];
 
-            const numberOfBytesRead = fs.readSync(fi, fileBuffer, 0, numberOfBytes, header.data.size + header.size);
-
-            if (numberOfBytesRead === numberOfBytes) {
-
-                /* Parse the GUANO header */
-
-                const guanoCheck = guanoHandler.readGuano(fileBuffer, numberOfBytes);
-
-                if (guanoCheck.success) {
+    for (let i = 0; i < outputFileList.length; i += 1) {
 
-                    guano = guanoCheck.guano;
+        const outputTime = filenameHandler.convertTimestamp(wholeFile ? originalTimestamp : outputFileList[i].timestamp, filenameCheck.timezoneOffset, options.timezone);
 
-                    contents = guano.contents;
+        const filename = options.template ? filenameHandler.formatTemplate(options.template, Object.assign({}, templateValues, {timestamp: outputTime.timestamp, timezoneOffset: outputTime.timezoneOffset, index: i + 1})) : (prefix === '' ? '' : prefix + '_') + existingPrefix + formatFilename(outputTime.timestamp, existingPostfix);
 
-                }
+        if (filenames.indexOf(filename) >= 0) {
 
-            }
+            return {
+                success: false,
+                code: 'E_OUTPUT_NAME_DUPLICATE',
+                error: 'More than one split file would be named ' + filename + '.'
+            };
 
-        } catch (e) {
+        }
 
-            guano = null;
+        if (path.resolve(outputPath, filename) === path.resolve(inputPath)) {
 
-            contents = null;
+            return {
+                success: false,
+                code: 'E_OUTPUT_IS_INPUT',
+                error: 'Split file ' + filename + ' would overwrite the input file.'
+            };
 
         }
 
+        filenames.push(filename);
+
     }
 
     /* Write the output files */
@@ -371,9 +537,7 @@ function split (inputPath, outputPath, prefix, maximumFileDuration, callback) {
 
     try {
 
-        if (outputFileList.length === 1 && outputFileList[0].offset === 0 && outputFileList[0].length === inputFileDataSize) {
-
-            const filename = (prefix === '' ? '' : prefix + '_') + existingPrefix + formatFilename(originalTimestamp, existingPostfix);
+        if (wholeFile) {
 
             const outputCallback = function (value) {
 
@@ -389,7 +553,7 @@ function split (inputPath, outputPath, prefix, maximumFileDuration, callback) {
 
             };
 
-            writeOutputFile(fi, path.join(outputPath, filename), header, guano, null, null, 0, inputFileDataSize, outputCallback);
+            yield * writeOutputFile(fi, path.join(outputPath, filenames[0]), header, guano, trailingChunks, null, null, dataOffset, inputFileDataSize, headerBuffer, fileBuffer, outputCallback);
 
         } else {
 
@@ -397,11 +561,17 @@ function split (inputPath, outputPath, prefix, maximumFileDuration, callback) {
 
                 if (callback && i > 0) callback(Math.round(i / outputFileList.length * 100));
 
-                const comment = 'Split from ' + path.basename(inputPath) + ' as file ' + (i + 1) + ' of ' + outputFileList.length + '.';
+                let comment = 'Split from ' + path.basename(inputPath) + ' as file ' + (i + 1) + ' of ' + outputFileList.length;
+
+                if (options.alignToClock) comment += ' aligned to ' + maximumFileDuration + ' second clock boundaries';
+
+                if (overlap > 0) comment += ' with ' + overlap + ' second overlap';
 
-                const filename = (prefix === '' ? '' : prefix + '_') + existingPrefix + formatFilename(outputFileList[i].timestamp, existingPostfix);
+                comment += '.';
 
-                const newContents = contents ? contents.replace(TIMESTAMP_REGEX, formatTimestamp(outputFileList[i].timestamp)) : null;
+                if (fields) guanoHandler.updateTimestamp(fields, outputFileList[i].timestamp, false, filenameCheck.timezoneOffset);
+
+                const newContents = fields ? guanoHandler.serialiseGuano(fields) : null;
 
                 const outputCallback = function (value) {
 
@@ -417,7 +587,7 @@ function split (inputPath, outputPath, prefix, maximumFileDuration, callback) {
 
                 };
 
-                writeOutputFile(fi, path.join(outputPath, filename), header, guano, comment, newContents, outputFileList[i].offset, outputFileList[i].length, outputCallback);
+                yield * writeOutputFile(fi, path.join(outputPath, filenames[i]), header, guano, trailingChunks, comment, newContents, dataOffset + outputFileList[i].offset, outputFileList[i].length, headerBuffer, fileBuffer, outputCallback);
 
             }
 
@@ -427,6 +597,7 @@ function split (inputPath, outputPath, prefix, maximumFileDuration, callback) {
 
         return {
             success: false,
+            code: 'E_SPLIT_FAILED',
             error: 'An error occurred while splitting files. '
         };
 
@@ -436,7 +607,7 @@ function split (inputPath, outputPath, prefix, maximumFileDuration, callback) {
 
     /* Close the input file */
 
-    fs.closeSync(fi);
+    yield ioHandler.close(fi);
 
     /* Return success */
 
@@ -447,6 +618,363 @@ function split (inputPath, outputPath, prefix, maximumFileDuration, callback) {
 
 }
 
+/* Convert a range time to an offset in seconds from the start of the file, or null if it is not valid */
+
+function parseRangeTime (value, originalTimestamp, timezoneOffset) {
+
+    if (typeof value === 'number') return isFinite(value) ? value : null;
+
+    if (value instanceof Date) return isNaN(value.getTime()) ? null : (value.getTime() + timezoneOffset * MILLISECONDS_IN_MINUTE - originalTimestamp) / MILLISECONDS_IN_SECOND;
+
+    if (typeof value !== 'string') return null;
+
+    if (RANGE_NUMBER_REGEX.test(value)) return parseFloat(value);
+
+    const matches = value.match(RANGE_TIMESTAMP_REGEX);
+
+    if (matches === null) return null;
+
+    const milliseconds = matches[7] ? Math.round(parseFloat(matches[7]) * MILLISECONDS_IN_SECOND) : 0;
+
+    const localTimestamp = Date.UTC(parseInt(matches[1], 10), parseInt(matches[2], 10) - 1, parseInt(matches[3], 10), parseInt(matches[4], 10), parseInt(matches[5], 10), parseInt(matches[6], 10), milliseconds);
+
+    /* Convert a timestamp with its own time zone to the local time of the WAV header */
+
+    let offset = timezoneOffset;
+
+    if (matches[8] === 'Z') offset = 0;
+
+    if (matches[9]) offset = (matches[9] === '-' ? -1 : 1) * (parseInt(matches[10], 10) * MINUTES_IN_HOUR + parseInt(matches[11], 10));
+
+    return (localTimestamp + (timezoneOffset - offset) * MILLISECONDS_IN_MINUTE - originalTimestamp) / MILLISECONDS_IN_SECOND;
+
+}
+
+/* Split a WAV file into the segments given by a list of ranges, or by the START and END columns of a CSV file */
+
+function * splitRangesOperation (inputPath, outputPath, prefix, ranges, callback, options) {
+
+    /* Check parameters */
+
+    prefix = prefix || '';
+
+    if (Array.isArray(ranges) === false && typeof ranges !== 'string') {
+
+        return {
+            success: false,
+            code: 'E_RANGES_INVALID',
+            error: 'Ranges must be an array or the path of a CSV file.'
+        };
+
+    }
+
+    if (typeof prefix !== 'string') {
+
+        return {
+            success: false,
+            code: 'E_PREFIX_INVALID',
+            error: 'Filename prefix must be a string.'
+        };
+
+    }
+
+    if (options.template !== undefined && filenameHandler.checkTemplate(options.template) === false) {
+
+        return {
+            success: false,
+            code: 'E_TEMPLATE_INVALID',
+            error: 'Filename template is not valid.'
+        };
+
+    }
+
+    if (options.timezone !== undefined && filenameHandler.checkTimezone(options.timezone) === false) {
+
+        return {
+            success: false,
+            code: 'E_TIMEZONE_INVALID',
+            error: 'Time zone is not valid.'
+        };
+
+    }
+
+    /* Problems with individual ranges are reported rather than stopping the operation */
+
+    const rangeIssues = [];
+
+    /* Read the ranges from the CSV file */
+
+    if (typeof ranges === 'string') {
+
+        const csvRanges = [];
+
+        const result = yield * csvReader.readRowsOperation(ranges, RANGE_COLUMN_NAMES, [String, String], function (row) {
+
+            csvRanges.push({
+                start: row.values.START,
+                end: row.values.END,
+                line: row.line
+            });
+
+        });
+
+        if (result.success === false) return result;
+
+        for (let i = 0; i < result.malformedRows.length; i += 1) {
+
+            rangeIssues.push({
+                line: result.malformedRows[i].line,
+                error: 'Range on line ' + result.malformedRows[i].line + ' could not be read. ' + result.malformedRows[i].error
+            });
+
+        }
+
+        ranges = csvRanges;
+
+    }
+
+    /* Open the input file and read its header and GUANO */
+
+    const input = yield * openInputFile(inputPath, outputPath);
+
+    if (input.success === false) return input;
+
+    const fi = input.fi;
+
+    const header = input.header;
+
+    const dataOffset = header.size;
+
+    const filenameCheck = input.filenameCheck;
+
+    const guano = input.guano;
+
+    const fields = input.fields;
+
+    const headerBuffer = input.headerBuffer;
+
+    const fileBuffer = input.fileBuffer;
+
+    outputPath = input.outputPath;
+
+    const existingPostfix = filenameCheck.existingPostfix;
+
+    const existingPrefix = filenameCheck.existingPrefix;
+
+    const originalTimestamp = filenameCheck.originalTimestamp;
+
+    const templateValues = {
+        prefix: prefix,
+        deviceID: header.iart.artist,
+        type: filenameHandler.SPLIT,
+        name: path.parse(inputPath).name
+    };
+
+    /* Convert each range to samples, clipping ranges which extend beyond the file and skipping ranges which are not valid or lie outside it */
+
+    const sampleRate = header.wavFormat.samplesPerSecond;
+
+    const bytesPerCapture = header.wavFormat.bytesPerCapture;
+
+    const numberOfSamplesInFile = Math.floor(header.data.size / bytesPerCapture);
+
+    const outputFileList = [];
+
+    const filenames = [];
+
+    for (let i = 0; i < ranges.length; i += 1) {
+
+        const range = ranges[i] || {};
+
+        const description = range.line ? 'Range on line ' + range.line : 'Range ' + (i + 1);
+
+        const addIssue = function (error) {
+
+            const issue = {
+                range: i + 1,
+                error: description + ' ' + error
+            };
+
+            if (range.line) issue.line = range.line;
+
+            rangeIssues.push(issue);
+
+        };
+
+        const start = parseRangeTime(range.start, originalTimestamp, filenameCheck.timezoneOffset);
+
+        const end = parseRangeTime(range.end, originalTimestamp, filenameCheck.timezoneOffset);
+
+        if (start === null || end === null || end <= start) {
+
+            addIssue('does not have a valid start and end.');
+
+            continue;
+
+        }
+
+        const startSample = Math.max(0, Math.round(start * sampleRate));
+
+        const endSample = Math.min(numberOfSamplesInFile, Math.round(end * sampleRate));
+
+        if (endSample <= startSample) {
+
+            addIssue('is outside the recording.');
+
+            continue;
+
+        }
+
+        if (start < 0 || Math.round(end * sampleRate) > numberOfSamplesInFile) addIssue('extends beyond the recording and was clipped.');
+
+        /* Name the output file, adding milliseconds if the range does not start on a whole second */
+
+        const timestamp = originalTimestamp + Math.round(startSample / sampleRate * MILLISECONDS_IN_SECOND);
+
+        const milliseconds = timestamp % MILLISECONDS_IN_SECOND !== 0;
+
+        const outputTime = filenameHandler.convertTimestamp(timestamp, filenameCheck.timezoneOffset, options.timezone);
+
+        const filename = options.template ? filenameHandler.formatTemplate(options.template, Object.assign({}, templateValues, {timestamp: outputTime.timestamp, timezoneOffset: outputTime.timezoneOffset, index: outputFileList.length + 1})) : (prefix === '' ? '' : prefix + '_') + existingPrefix + formatFilename(outputTime.timestamp, existingPostfix, milliseconds);
+
+        if (filenames.indexOf(filename) >= 0) {
+
+            addIssue('would overwrite the output file ' + filename + ' so was skipped.');
+
+            continue;
+
+        }
+
+        if (path.resolve(outputPath, filename) === path.resolve(inputPath)) {
+
+            addIssue('would overwrite the input file so was skipped.');
+
+            continue;
+
+        }
+
+        filenames.push(filename);
+
+        outputFileList.push({
+            filename: filename,
+            timestamp: timestamp,
+            milliseconds: milliseconds,
+            start: startSample / sampleRate,
+            end: endSample / sampleRate,
+            offset: startSample * bytesPerCapture,
+            length: (endSample - startSample) * bytesPerCapture
+        });
+
+    }
+
+    /* Report problems with rows of a CSV file in the order they appear in the file */
+
+    if (rangeIssues.length > 0 && rangeIssues[0].line !== undefined) {
+
+        rangeIssues.sort(function (a, b) {
+
+            return a.line - b.line;
+
+        });
+
+    }
+
+    /* Write the output files */
+
+    let progress = 0;
+
+    let totalLength = 0;
+
+    for (let i = 0; i < outputFileList.length; i += 1) totalLength += outputFileList[i].length;
+
+    let lengthWritten = 0;
+
+    try {
+
+        for (let i = 0; i < outputFileList.length; i += 1) {
+
+            const comment = 'Split from ' + path.basename(inputPath) + ' as range ' + (i + 1) + ' of ' + outputFileList.length + ' from ' + outputFileList[i].start.toFixed(3) + ' to ' + outputFileList[i].end.toFixed(3) + ' seconds.';
+
+            if (fields) guanoHandler.updateTimestamp(fields, outputFileList[i].timestamp, outputFileList[i].milliseconds, filenameCheck.timezoneOffset);
+
+            const newContents = fields ? guanoHandler.serialiseGuano(fields) : null;
+
+            const outputCallback = function (value) {
+
+                const nextProgress = Math.round(100 * (lengthWritten + value * outputFileList[i].length) / totalLength);
+
+                if (nextProgress > progress) {
+
+                    progress = nextProgress;
+
+                    if (callback) callback(progress);
+
+                }
+
+            };
+
+            yield * writeOutputFile(fi, path.join(outputPath, outputFileList[i].filename), header, guano, input.trailingChunks, comment, newContents, dataOffset + outputFileList[i].offset, outputFileList[i].length, headerBuffer, fileBuffer, outputCallback);
+
+            lengthWritten += outputFileList[i].length;
+
+        }
+
+    } catch (e) {
+
+        return {
+            success: false,
+            code: 'E_SPLIT_FAILED',
+            error: 'An error occurred while splitting files. '
+        };
+
+    }
+
+    if (callback && progress < 100) callback(100);
+
+    /* Close the input file */
+
+    yield ioHandler.close(fi);
+
+    /* Return success with the number of files written and any problems with the ranges */
+
+    return {
+        success: true,
+        error: null,
+        numberOfFiles: outputFileList.length,
+        rangeIssues: rangeIssues
+    };
+
+}
+
+/* Run split synchronously or asynchronously. The options may include an AbortSignal to cancel the operation */
+
+function split (inputPath, outputPath, prefix, maximumFileDuration, callback, options) {
+
+    return ioHandler.runSync(splitOperation(inputPath, outputPath, prefix, maximumFileDuration, callback, options || {}), options && options.signal);
+
+}
+
+function splitAsync (inputPath, outputPath, prefix, maximumFileDuration, callback, options) {
+
+    return ioHandler.runAsync(splitOperation(inputPath, outputPath, prefix, maximumFileDuration, callback, options || {}), options && options.signal);
+
+}
+
+function splitRanges (inputPath, outputPath, prefix, ranges, callback, options) {
+
+    return ioHandler.runSync(splitRangesOperation(inputPath, outputPath, prefix, ranges, callback, options || {}), options && options.signal);
+
+}
+
+function splitRangesAsync (inputPath, outputPath, prefix, ranges, callback, options) {
+
+    return ioHandler.runAsync(splitRangesOperation(inputPath, outputPath, prefix, ranges, callback, options || {}), options && options.signal);
+
+}
+
 /* Export split */
 
 exports.split = split;
+exports.splitAsync = splitAsync;
+exports.splitRanges = splitRanges;
+exports.splitRangesAsync = splitRangesAsync;
@@ -6,9 +6,9 @@
 
 'use strict';
 
-const fs = require('fs');
 const path = require('path');
 
+const ioHandler = require('./ioHandler.js');
 const wavHandler = require('./wavHandler.js');
 const guanoHandler = require('./guanoHandler.js');
 const filenameHandler = require('./filenameHandler.js');
@@ -44,26 +44,10 @@ const TEMPERATURE_REGEX = /(-?\d+\.\d)C/;
 
 const TRIGGER_REGEX = /T.WAV/;
 
-const GUANO_LOCATION_REGEX_2 = /Loc Position:(\-?\d{1,2}\.\d{2}) (\-?\d{1,3}\.\d{2})/;
-
-const GUANO_LOCATION_REGEX_6 = /Loc Position:(\-?\d{1,2}\.\d{6}) (\-?\d{1,3}\.\d{6})/;
-
-const GUANO_TIMESTAMP_REGEX = /Timestamp:(\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d(?:(\.\d{3})?)(?:Z|(?:[\+\-]\d\d:\d\d)))/;
-
-const GUANO_TEMPERATURE_REGEX = /Temperature Int:(\-?\d+\.\d)/;
-
-const GUANO_VOLTAGE_REGEX = /OAD\|Battery Voltage:(\d\.\d)/;
-
 /* Time constants */
 
 const MILLISECONDS_IN_SECOND = 1000;
 
-/* Buffers for reading data */
-
-const fileBuffer = Buffer.alloc(FILE_BUFFER_SIZE);
-
-const headerBuffer = Buffer.alloc(FILE_BUFFER_SIZE);
-
 /* Summary constants */
 
 const HEADER = 'File Name,Folder,File Size (bytes),Timestamp,Latitude,Longitude,Sample Rate (Hz),Triggered,Samples,Duration (s),Temperature (C),Battery Voltage (V),Comment\r\n';
@@ -120,13 +104,13 @@ function digits (value, number) {
 
 function escapeRegex (input) {
 
-    return input.replaceAll('\\', '\\\\');
+    return input.replace(/\\/g, '\\\\');
 
 }
 
 function escapeString (input) {
 
-    let escapeString = input.replaceAll('"', '""');
+    let escapeString = input.replace(/"/g, '""');
 
     if (escapeString.includes(',') || escapeString.includes('"') || escapeString.includes('\r') || escapeString.includes('\n')) escapeString = '"' + escapeString + '"';
 
@@ -184,7 +168,7 @@ function initialise () {
 
 }
 
-function finalise (outputPath) {
+function * finaliseOperation (outputPath) {
 
     /* Declare a sort function */
 
@@ -214,10 +198,11 @@ function finalise (outputPath) {
 
         /* Check the output path */
 
-        if (fs.lstatSync(outputPath).isDirectory() === false) {
+        if ((yield ioHandler.lstat(outputPath)).isDirectory() === false) {
 
             return {
                 success: false,
+                code: 'E_DESTINATION_NOT_DIRECTORY',
                 error: 'Destination path is not a directory.'
             };
 
@@ -225,22 +210,23 @@ function finalise (outputPath) {
 
         /* Write the output file */
 
-        const fo = fs.openSync(path.join(outputPath, 'SUMMARY.CSV'), 'w');
+        const fo = yield ioHandler.open(path.join(outputPath, 'SUMMARY.CSV'), 'w');
 
-        fs.writeSync(fo, HEADER);
+        yield ioHandler.write(fo, HEADER);
 
         for (let i = 0; i < sortedResults.length; i += 1) {
 
-            fs.writeSync(fo, sortedResults[i].line);
+            yield ioHandler.write(fo, sortedResults[i].line);
 
         }
 
-        fs.closeSync(fo);
+        yield ioHandler.close(fo);
 
     } catch (e) {
 
         return {
             success: false,
+            code: 'E_OUTPUT_WRITE',
             error: 'An error occurred while writing the output file.'
         };
 
@@ -255,7 +241,7 @@ function finalise (outputPath) {
 
 }
 
-function summarise (folderPath, filePath, callback) {
+function * summariseOperation (folderPath, filePath, callback) {
 
     /* Check the input filename */
 
@@ -289,9 +275,9 @@ function summarise (folderPath, filePath, callback) {
 
     try {
 
-        fi = fs.openSync(filePath, 'r');
+        fi = yield ioHandler.open(filePath, 'r');
 
-        fileSize = fs.statSync(filePath).size;
+        fileSize = (yield ioHandler.stat(filePath)).size;
 
     } catch (e) {
 
@@ -307,11 +293,17 @@ function summarise (folderPath, filePath, callback) {
 
     }
 
+    /* Allocate buffers for reading data */
+
+    const fileBuffer = Buffer.alloc(FILE_BUFFER_SIZE);
+
+    const headerBuffer = Buffer.alloc(FILE_BUFFER_SIZE);
+
     /* Read the header */
 
     try {
 
-        fs.readSync(fi, headerBuffer, 0, FILE_BUFFER_SIZE, 0);
+        yield ioHandler.read(fi, headerBuffer, 0, FILE_BUFFER_SIZE, 0);
 
     } catch (e) {
 
@@ -423,7 +415,7 @@ function summarise (folderPath, filePath, callback) {
 
                 const numberOfBytes = Math.min(inputFileDataSize, ENCODED_BLOCK_SIZE_IN_BYTES - header.size % ENCODED_BLOCK_SIZE_IN_BYTES);
 
-                const numberOfBytesRead = fs.readSync(fi, fileBuffer, 0, numberOfBytes, header.size);
+                const numberOfBytesRead = yield ioHandler.read(fi, fileBuffer, 0, numberOfBytes, header.size);
 
                 if (numberOfBytesRead !== numberOfBytes) throw new Error('Could not read expected number of bytes.');
 
@@ -441,7 +433,7 @@ function summarise (folderPath, filePath, callback) {
 
                 const numberOfBytes = Math.min(inputFileDataSize - inputFileBytesRead, ENCODED_BLOCK_SIZE_IN_BYTES);
 
-                const numberOfBytesRead = fs.readSync(fi, fileBuffer, 0, numberOfBytes, inputFileBytesRead + header.size);
+                const numberOfBytesRead = yield ioHandler.read(fi, fileBuffer, 0, numberOfBytes, inputFileBytesRead + header.size);
 
                 if (numberOfBytesRead !== numberOfBytes) throw new Error('Could not read expected number of bytes.');
 
@@ -497,7 +489,7 @@ function summarise (folderPath, filePath, callback) {
 
     } else {
 
-        samples = inputFileDataSize / NUMBER_OF_BYTES_IN_SAMPLE;
+        samples = inputFileDataSize / header.wavFormat.bytesPerCapture;
 
     }
 
@@ -523,7 +515,7 @@ function summarise (folderPath, filePath, callback) {
 
     /* Check for the GUANO */
 
-    if (header.data.size + header.size < fileSize) {
+    if (header.data.size + header.size < fileSize || header.guano) {
 
         const numberOfBytes = Math.min(fileSize - header.size - header.data.size, FILE_BUFFER_SIZE);
 
@@ -533,55 +525,41 @@ function summarise (folderPath, filePath, callback) {
 
             /* Read end of file into the buffer */
 
-            const numberOfBytesRead = fs.readSync(fi, fileBuffer, 0, numberOfBytes, header.data.size + header.size);
+            const numberOfBytesRead = yield ioHandler.read(fi, fileBuffer, 0, numberOfBytes, header.data.size + header.size);
 
             if (numberOfBytesRead === numberOfBytes) {
 
-                /* Parse the GUANO header */
-
-                const guanoCheck = guanoHandler.readGuano(fileBuffer, numberOfBytes);
-
-                if (guanoCheck.success) {
-
-                    /* Read latitude and longitude */
+                /* Find the GUANO among the chunks which follow the data */
 
-                    const contents = guanoCheck.guano.contents;
+                const trailer = wavHandler.readTrailer(header, fileBuffer, numberOfBytes);
 
-                    let locationMatch = contents.match(GUANO_LOCATION_REGEX_2);
+                if (trailer.guano) {
 
-                    if (locationMatch) {
+                    const fields = guanoHandler.parseGuano(trailer.guano.contents);
 
-                        latitude = locationMatch[1];
+                    /* Read latitude and longitude */
 
-                        longitude = locationMatch[2];
+                    const position = fields['Loc Position'];
 
-                    } else {
+                    if (position && typeof position.latitude === 'number') {
 
-                        locationMatch = contents.match(GUANO_LOCATION_REGEX_6);
+                        /* Write the position as it appears in the GUANO rather than as parsed */
 
-                        if (locationMatch) {
+                        const location = guanoHandler.formatField(fields, 'Loc Position').split(/\s+/);
 
-                            latitude = locationMatch[1];
+                        latitude = location[0];
 
-                            longitude = locationMatch[2];
-
-                        }
+                        longitude = location[1];
 
                     }
 
                     /* Read additional fields */
 
-                    const timestampMatch = contents.match(GUANO_TIMESTAMP_REGEX);
-
-                    const guanoTimestamp = timestampMatch ? timestampMatch[1] : null;
+                    const guanoTimestamp = fields.Timestamp && fields.Timestamp.date instanceof Date ? guanoHandler.formatTimestamp(fields.Timestamp) : null;
 
-                    const temperatureMatch = contents.match(GUANO_TEMPERATURE_REGEX);
+                    const guanoTemperature = typeof fields['Temperature Int'] === 'number' ? fields['Temperature Int'].toFixed(1) : null;
 
-                    const guanoTemperature = temperatureMatch ? temperatureMatch[1] : null;
-
-                    const voltageMatch = contents.match(GUANO_VOLTAGE_REGEX);
-
-                    const guanoVoltage = voltageMatch ? voltageMatch[1] : null;
+                    const guanoVoltage = typeof fields['OAD|Battery Voltage'] === 'number' ? fields['OAD|Battery Voltage'].toFixed(1) : null;
 
                     /* No exceptions so copy across GUANO data */
 
@@ -609,7 +587,7 @@ function summarise (folderPath, filePath, callback) {
 
     try {
 
-        fs.closeSync(fi);
+        yield ioHandler.close(fi);
 
     } catch (e) { }
 
@@ -625,8 +603,36 @@ function summarise (folderPath, filePath, callback) {
 
 }
 
+/* Run summarise and finalise synchronously or asynchronously */
+
+function summarise (folderPath, filePath, callback) {
+
+    return ioHandler.runSync(summariseOperation(folderPath, filePath, callback));
+
+}
+
+function summariseAsync (folderPath, filePath, callback) {
+
+    return ioHandler.runAsync(summariseOperation(folderPath, filePath, callback));
+
+}
+
+function finalise (outputPath) {
+
+    return ioHandler.runSync(finaliseOperation(outputPath));
+
+}
+
+function finaliseAsync (outputPath) {
+
+    return ioHandler.runAsync(finaliseOperation(outputPath));
+
+}
+
 /* Exports */
 
 exports.initialise = initialise;
 exports.summarise = summarise;
+exports.summariseAsync = summariseAsync;
 exports.finalise = finalise;
+exports.finaliseAsync = finaliseAsync;
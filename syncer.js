@@ -6,11 +6,11 @@
 
 'use strict';
 
-const fs = require('fs');
 const path = require('path');
 
 const csvReader = require('./csvReader.js');
 
+const ioHandler = require('./ioHandler.js');
 const wavHandler = require('./wavHandler.js');
 const guanoHandler = require('./guanoHandler.js');
 const filenameHandler = require('./filenameHandler.js');
@@ -25,14 +25,14 @@ const ALIGN_SAMPLES = true;
 
 /* File buffer constants */
 
-const UINT32_MAX = 0xFFFFFFFF;
-
 const NUMBER_OF_BYTES_IN_SAMPLE = 2;
 
 const HEADER_BUFFER_SIZE = 32 * 1024;
 
 const FILE_BUFFER_SIZE = 1024 * 1024;
 
+const NUMBER_OF_SAMPLES_IN_FILE_BUFFER = FILE_BUFFER_SIZE / NUMBER_OF_BYTES_IN_SAMPLE;
+
 /* Time constants */
 
 const HERTZ_IN_KILOHERTZ = 1000;
@@ -73,9 +73,11 @@ const MAXIMUM_ALLOWABLE_PPS_OFFSET = (PPS_CLOCK_TICK_OFFSET / CLOCK_FREQUENCY *
 
 const MAXIMUM_ALLOWABLE_TIMESTAMP_DIFFERENCE = 500;
 
-/* Buffers for reading data */
+/* GPS-Sync CSV columns */
+
+const CSV_COLUMN_NAMES = ['PPS_NUMBER', 'AUDIOMOTH_TIME', 'SAMPLES', 'TOTAL_SAMPLES', 'TIMER_COUNT', 'TIME_TO_NEXT_SAMPLE', 'BUFFERS_FILLED', 'BUFFERS_WRITTEN'];
 
-const headerBuffer = Buffer.alloc(HEADER_BUFFER_SIZE);
+const CSV_PARSE_FUNCTIONS = [Number, String, Number, Number, Number, Number, Number, Number];
 
 /* Date functions */
 
@@ -127,7 +129,7 @@ function writeInt16 (buffer, index, value) {
 
 /* Sync a WAV file from the AudioMoth-GPS-Sync firmware */
 
-function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callback) {
+function * syncOperation (inputPath, outputPath, prefix, resampleRate, autoResolve, callback, options) {
 
     /* Check prefix parameter */
 
@@ -137,11 +139,22 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
         return {
             success: false,
+            code: 'E_PREFIX_INVALID',
             error: 'Filename prefix must be a string.'
         };
 
     }
 
+    if (options.template !== undefined && filenameHandler.checkTemplate(options.template) === false) {
+
+        return {
+            success: false,
+            code: 'E_TEMPLATE_INVALID',
+            error: 'Filename template is not valid.'
+        };
+
+    }
+
     /* Check autoResolve parameter */
 
     autoResolve = typeof autoResolve === 'boolean' ? autoResolve : false;
@@ -152,12 +165,13 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
     try {
 
-        fi = fs.openSync(inputPath, 'r');
+        fi = yield ioHandler.open(inputPath, 'r');
 
     } catch (e) {
 
         return {
             success: false,
+            code: 'E_INPUT_OPEN',
             error: 'Could not open input WAV file.'
         };
 
@@ -167,10 +181,11 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
     outputPath = outputPath || path.parse(inputPath).dir;
 
-    if (fs.lstatSync(outputPath).isDirectory() === false) {
+    if ((yield ioHandler.lstat(outputPath)).isDirectory() === false) {
 
         return {
             success: false,
+            code: 'E_DESTINATION_NOT_DIRECTORY',
             error: 'Destination path is not a directory.'
         };
 
@@ -182,12 +197,13 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
     try {
 
-        fileSize = fs.statSync(inputPath).size;
+        fileSize = (yield ioHandler.stat(inputPath)).size;
 
     } catch (e) {
 
         return {
             success: false,
+            code: 'E_INPUT_SIZE_READ',
             error: 'Could not read input WAV file size.'
         };
 
@@ -197,6 +213,7 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
         return {
             success: false,
+            code: 'E_INPUT_EMPTY',
             error: 'Input WAV file has zero size.'
         };
 
@@ -204,14 +221,17 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
     /* Read the WAV file header */
 
+    const headerBuffer = Buffer.alloc(HEADER_BUFFER_SIZE);
+
     try {
 
-        fs.readSync(fi, headerBuffer, 0, HEADER_BUFFER_SIZE, 0);
+        yield ioHandler.read(fi, headerBuffer, 0, HEADER_BUFFER_SIZE, 0);
 
     } catch (e) {
 
         return {
             success: false,
+            code: 'E_HEADER_READ',
             error: 'Could not read the input WAV file header.'
         };
 
@@ -227,6 +247,12 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
     const header = headerCheck.header;
 
+    /* Check the WAV format is the 16-bit mono PCM recorded by AudioMoth */
+
+    const formatCheck = wavHandler.checkAudioMothFormat(header);
+
+    if (formatCheck.success === false) return formatCheck;
+
     /* Check the resample rate */
 
     if (typeof resampleRate === 'number') {
@@ -235,6 +261,7 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
             return {
                 success: false,
+                code: 'E_RESAMPLE_RATE_TOO_LOW',
                 error: 'Resample rate is less than original sample rate.'
             };
 
@@ -254,9 +281,31 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
     const originalTimestamp = filenameCheck.originalTimestamp;
 
-    /* Generate output filename */
+    /* Generate output filename, from the template if one is given. The other output files share its name */
+
+    const templateValues = {
+        timestamp: originalTimestamp,
+        prefix: prefix,
+        deviceID: header.iart.artist,
+        timezoneOffset: filenameCheck.timezoneOffset,
+        type: filenameHandler.SYNC,
+        index: 1,
+        name: path.parse(inputPath).name
+    };
+
+    const outputFilename = options.template ? filenameHandler.formatTemplate(options.template, templateValues) : (prefix === '' ? '' : prefix + '_') + inputFilename.replace('.WAV', '_SYNC.WAV');
+
+    if (path.resolve(outputPath, outputFilename) === path.resolve(inputPath)) {
 
-    const outputFilename = (prefix === '' ? '' : prefix + '_') + inputFilename.replace('.WAV', '_SYNC.WAV');
+        return {
+            success: false,
+            code: 'E_OUTPUT_IS_INPUT',
+            error: 'Synchronised file would overwrite the input file.'
+        };
+
+    }
+
+    const outputName = path.parse(outputFilename).name;
 
     /* Determine settings from the input file */
 
@@ -272,63 +321,66 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
     try {
 
-        fs.existsSync(inputPath);
+        yield ioHandler.exists(inputPath);
 
     } catch (e) {
 
         return {
             success: false,
+            code: 'E_CSV_NOT_FOUND',
             error: 'Could not find the input CSV file.'
         };
 
     }
 
-    const result = csvReader.readFile(csvPath, ['PPS_NUMBER', 'AUDIOMOTH_TIME', 'SAMPLES', 'TOTAL_SAMPLES', 'TIMER_COUNT', 'TIME_TO_NEXT_SAMPLE', 'BUFFERS_FILLED', 'BUFFERS_WRITTEN'], [Number, String, Number, Number, Number, Number, Number, Number]);
+    /* Check every row of the CSV file, reading one row at a time */
 
-    if (result.success === false) {
+    let result = yield * csvReader.openReaderOperation(csvPath, CSV_COLUMN_NAMES, CSV_PARSE_FUNCTIONS);
 
-        return {
-            success: false,
-            error: result.error
-        };
+    if (result.success === false) return result;
 
-    }
+    let reader = result.reader;
 
-    /* Extract data */
+    let numberOfRows = 0;
 
-    const PPS_NUMBER = result.data.PPS_NUMBER;
-    const AUDIOMOTH_TIME = result.data.AUDIOMOTH_TIME;
-    const TOTAL_SAMPLES = result.data.TOTAL_SAMPLES;
-    const TIMER_COUNT = result.data.TIMER_COUNT;
-    const BUFFERS_FILLED = result.data.BUFFERS_FILLED;
-    const BUFFERS_WRITTEN = result.data.BUFFERS_WRITTEN;
+    let firstAudioMothTime = null;
 
-    let numberOfRows = 0;
+    let firstOverflowIndex = -1;
 
-    let dataOkay = PPS_NUMBER && PPS_NUMBER.length && PPS_NUMBER.length > 1;
+    while (true) {
 
-    if (dataOkay === false) {
+        const rowResult = yield * csvReader.readRowOperation(reader);
 
-        return {
-            success: false,
-            error: 'Input CSV does not contain at least two PPS events.'
-        };
+        if (rowResult.success === false) {
 
-    }
+            return {
+                success: false,
+                code: rowResult.code,
+                error: rowResult.error
+            };
+
+        }
+
+        if (rowResult.row === null) break;
+
+        const values = rowResult.row.values;
+
+        if (numberOfRows === 0) firstAudioMothTime = values.AUDIOMOTH_TIME;
+
+        if (firstOverflowIndex < 0 && values.BUFFERS_FILLED - values.BUFFERS_WRITTEN >= NUMBER_OF_BUFFERS) firstOverflowIndex = numberOfRows;
+
+        numberOfRows += 1;
 
-    if (dataOkay) numberOfRows = PPS_NUMBER.length;
+    }
 
-    dataOkay = dataOkay && (AUDIOMOTH_TIME && AUDIOMOTH_TIME.length && AUDIOMOTH_TIME.length === numberOfRows);
-    dataOkay = dataOkay && (TOTAL_SAMPLES && TOTAL_SAMPLES.length && TOTAL_SAMPLES.length === numberOfRows);
-    dataOkay = dataOkay && (TIMER_COUNT && TIMER_COUNT.length && TIMER_COUNT.length === numberOfRows);
-    dataOkay = dataOkay && (BUFFERS_FILLED && BUFFERS_FILLED.length && BUFFERS_FILLED.length === numberOfRows);
-    dataOkay = dataOkay && (BUFFERS_WRITTEN && BUFFERS_WRITTEN.length && BUFFERS_WRITTEN.length === numberOfRows);
+    yield * csvReader.closeReaderOperation(reader);
 
-    if (dataOkay === false) {
+    if (numberOfRows < 2) {
 
         return {
             success: false,
-            error: 'Input CSV file does not contain appropriate data.'
+            code: 'E_CSV_PPS_INSUFFICIENT',
+            error: 'Input CSV does not contain at least two PPS events.'
         };
 
     }
@@ -341,7 +393,7 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
         const fileTimestamp = Date.parse(inputFilename.substring(0, 4) + '-' + inputFilename.substring(4, 6) + '-' + inputFilename.substring(6, 8) + 'T' + inputFilename.substring(9, 11) + ':' + inputFilename.substring(11, 13) + ':' + inputFilename.substring(13, 15) + '.000Z');
 
-        const firstTimestamp = Date.parse(AUDIOMOTH_TIME[0] + 'Z');
+        const firstTimestamp = Date.parse(firstAudioMothTime + 'Z');
 
         const difference = Math.abs(fileTimestamp - firstTimestamp);
 
@@ -357,6 +409,7 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
         return {
             success: false,
+            code: 'E_CSV_TIMESTAMP_MISMATCH',
             error: 'Input CSV file timestamp does not match input WAV file.'
         };
 
@@ -364,30 +417,17 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
     /* Check for missing buffers */
 
-    let bufferOverflow = false;
-
-    let numberOfRowsToProcess = numberOfRows;
-
-    for (let i = 0; i < numberOfRows; i += 1) {
-
-        if (BUFFERS_FILLED[i] - BUFFERS_WRITTEN[i] >= NUMBER_OF_BUFFERS) {
+    const bufferOverflow = firstOverflowIndex >= 0;
 
-            bufferOverflow = true;
+    const numberOfRowsToProcess = bufferOverflow ? Math.max(0, firstOverflowIndex - 1) : numberOfRows;
 
-            numberOfRowsToProcess = Math.max(0, i - 1);
+    if (bufferOverflow && autoResolve === false) {
 
-            if (autoResolve === false) {
-
-                return {
-                    success: false,
-                    error: 'Input CSV file shows evidence of recording buffer overflow.'
-                };
-
-            }
-
-            break;
-
-        }
+        return {
+            success: false,
+            code: 'E_CSV_BUFFER_OVERFLOW',
+            error: 'Input CSV file shows evidence of recording buffer overflow.'
+        };
 
     }
 
@@ -399,25 +439,23 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
     const clockTicksToCompleteSample = 2 + CLOCK_DIVIDER * (2 + overSampleRate * (ACQUISITION_CYCLES + CONVERSION_CYCLES));
 
-    /* Calculate the time to next sample */
-
-    const TIME_TO_NEXT_SAMPLE = new Array(numberOfRows);
+    /* Function to calculate the time to next sample */
 
-    for (let i = 0; i < numberOfRows; i += 1) {
+    function calculateTimeToNextSample (timerCount) {
 
-        if (TIMER_COUNT[i] <= clockTicksToCompleteSample) {
+        if (timerCount <= clockTicksToCompleteSample) return (clockTicksToCompleteSample - timerCount) / CLOCK_FREQUENCY * MICROSECONDS_IN_SECOND;
 
-            TIME_TO_NEXT_SAMPLE[i] = (clockTicksToCompleteSample - TIMER_COUNT[i]) / CLOCK_FREQUENCY * MICROSECONDS_IN_SECOND;
+        return (clockTicksBetweenSamples + clockTicksToCompleteSample - timerCount) / CLOCK_FREQUENCY * MICROSECONDS_IN_SECOND;
 
-        } else {
+    }
 
-            TIME_TO_NEXT_SAMPLE[i] = (clockTicksBetweenSamples + clockTicksToCompleteSample - TIMER_COUNT[i]) / CLOCK_FREQUENCY * MICROSECONDS_IN_SECOND;
+    /* Walk the PPS events again to calculate the interval between PPS events and the number of samples */
 
-        }
+    result = yield * csvReader.openReaderOperation(csvPath, CSV_COLUMN_NAMES, CSV_PARSE_FUNCTIONS);
 
-    }
+    if (result.success === false) return result;
 
-    /* Calculate the interval between PPS events and the number of samples */
+    reader = result.reader;
 
     let autoResolveText = '';
 
@@ -431,27 +469,79 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
     let cumulativeTimeInterval = 0;
 
-    let currentIndex = 0;
-
-    let currentSamples = TOTAL_SAMPLES[0];
-
-    let currentDate = Date.parse(AUDIOMOTH_TIME[0] + 'Z');
-
     let sampleRateTotal = 0;
 
     let sampleRateCount = 0;
 
     try {
 
+        const firstRowResult = yield * csvReader.readRowOperation(reader);
+
+        if (firstRowResult.success === false) {
+
+            return {
+                success: false,
+                code: firstRowResult.code,
+                error: firstRowResult.error
+            };
+
+        }
+
+        if (firstRowResult.row === null) {
+
+            return {
+                success: false,
+                code: 'E_CSV_READ',
+                error: 'Input CSV file changed while it was being read.'
+            };
+
+        }
+
+        const firstRow = firstRowResult.row.values;
+
+        let currentIndex = 0;
+
+        let currentSamples = firstRow.TOTAL_SAMPLES;
+
+        let currentDate = Date.parse(firstRow.AUDIOMOTH_TIME + 'Z');
+
+        let currentTimeToNextSample = calculateTimeToNextSample(firstRow.TIMER_COUNT);
+
         for (let i = 1; i < numberOfRowsToProcess; i += 1) {
 
             /* Read next time and sample values */
 
+            const nextRowResult = yield * csvReader.readRowOperation(reader);
+
+            if (nextRowResult.success === false) {
+
+                return {
+                    success: false,
+                    code: nextRowResult.code,
+                    error: nextRowResult.error
+                };
+
+            }
+
+            if (nextRowResult.row === null) {
+
+                return {
+                    success: false,
+                    code: 'E_CSV_READ',
+                    error: 'Input CSV file changed while it was being read.'
+                };
+
+            }
+
+            const nextRow = nextRowResult.row.values;
+
             const nextIndex = i;
 
-            const nextSamples = TOTAL_SAMPLES[i];
+            const nextSamples = nextRow.TOTAL_SAMPLES;
 
-            const nextDate = Date.parse(AUDIOMOTH_TIME[i] + 'Z');
+            const nextDate = Date.parse(nextRow.AUDIOMOTH_TIME + 'Z');
+
+            const nextTimeToNextSample = calculateTimeToNextSample(nextRow.TIMER_COUNT);
 
             /* Calculate differences */
 
@@ -488,8 +578,8 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
                     endPPSIndex: nextIndex,
                     timeInterval: roundedTimeInterval,
                     cumulativeTimeInterval: cumulativeTimeInterval,
-                    firstSampleGap: TIME_TO_NEXT_SAMPLE[currentIndex],
-                    lastSampleGap: sampleInterval - TIME_TO_NEXT_SAMPLE[nextIndex]
+                    firstSampleGap: currentTimeToNextSample,
+                    lastSampleGap: sampleInterval - nextTimeToNextSample
                 };
 
                 intervals.push(interval);
@@ -508,6 +598,7 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
                         return {
                             success: false,
+                            code: 'E_CSV_PPS_MISSING',
                             error: 'Input CSV file has a missing PPS event.'
                         };
 
@@ -523,6 +614,8 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
                 currentDate = nextDate;
 
+                currentTimeToNextSample = nextTimeToNextSample;
+
             } else {
 
                 /* Set the flag and stop if autoresolve is not enabled */
@@ -533,6 +626,7 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
                     return {
                         success: false,
+                        code: 'E_CSV_PPS_MISALIGNED',
                         error: 'Input CSV file has a misaligned PPS event.'
                     };
 
@@ -542,10 +636,13 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
         }
 
+        yield * csvReader.closeReaderOperation(reader);
+
     } catch (e) {
 
         return {
             success: false,
+            code: 'E_CSV_PPS_PARSE',
             error: 'Could not parse PPS events in input CSV file.'
         };
 
@@ -557,6 +654,7 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
         return {
             success: false,
+            code: 'E_CSV_PPS_NO_VALID_INTERVALS',
             error: 'Input CSV file does not contain any valid intervals between PPS events.'
         };
 
@@ -658,19 +756,19 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
     if (DEBUG) {
 
-        const fo = fs.openSync(path.join(outputPath, outputFilename.replace('.WAV', '_UNFIXED.CSV')), 'w');
+        const fo = yield ioHandler.open(path.join(outputPath, outputName + '_UNFIXED.CSV'), 'w');
 
-        fs.writeSync(fo, 'INDEX,PPS_START_INDEX,PPS_END_INDEX,INTERVAL,SAMPLES,SAMPLE_RATE,TIME_TO_FIRST_SAMPLE,TIME_FROM_LAST_SAMPLE\n');
+        yield ioHandler.write(fo, 'INDEX,PPS_START_INDEX,PPS_END_INDEX,INTERVAL,SAMPLES,SAMPLE_RATE,TIME_TO_FIRST_SAMPLE,TIME_FROM_LAST_SAMPLE\n');
 
         for (let i = 0; i < numberOfIntervals; i += 1) {
 
             const interval = intervals[i];
 
-            fs.writeSync(fo, interval.index + ',' + interval.startPPSIndex + ',' + interval.endPPSIndex + ',' + interval.timeInterval + ',' + interval.numberOfSamples + ',' + interval.sampleRate.toFixed(4) + ',' + interval.firstSampleGap.toFixed(2) + ',' + interval.lastSampleGap.toFixed(2) + '\n');
+            yield ioHandler.write(fo, interval.index + ',' + interval.startPPSIndex + ',' + interval.endPPSIndex + ',' + interval.timeInterval + ',' + interval.numberOfSamples + ',' + interval.sampleRate.toFixed(4) + ',' + interval.firstSampleGap.toFixed(2) + ',' + interval.lastSampleGap.toFixed(2) + '\n');
 
         }
 
-        fs.closeSync(fo);
+        yield ioHandler.close(fo);
 
     }
 
@@ -774,33 +872,33 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
     if (DEBUG) {
 
-        let fo = fs.openSync(path.join(outputPath, outputFilename.replace('.WAV', '_DEBUG.TXT')), 'w');
+        let fo = yield ioHandler.open(path.join(outputPath, outputName + '_DEBUG.TXT'), 'w');
 
         if (debugText.length > 0) {
 
-            fs.writeSync(fo, debugText);
+            yield ioHandler.write(fo, debugText);
 
         } else {
 
-            fs.writeSync(fo, 'No corrections required.');
+            yield ioHandler.write(fo, 'No corrections required.');
 
         }
 
-        fs.closeSync(fo);
+        yield ioHandler.close(fo);
 
-        fo = fs.openSync(path.join(outputPath, outputFilename.replace('.WAV', '_FIXED.CSV')), 'w');
+        fo = yield ioHandler.open(path.join(outputPath, outputName + '_FIXED.CSV'), 'w');
 
-        fs.writeSync(fo, 'INDEX,PPS_START_INDEX,PPS_END_INDEX,INTERVAL,SAMPLES,SAMPLE_RATE,TIME_TO_FIRST_SAMPLE,TIME_FROM_LAST_SAMPLE\n');
+        yield ioHandler.write(fo, 'INDEX,PPS_START_INDEX,PPS_END_INDEX,INTERVAL,SAMPLES,SAMPLE_RATE,TIME_TO_FIRST_SAMPLE,TIME_FROM_LAST_SAMPLE\n');
 
         for (let i = 0; i < numberOfIntervals; i += 1) {
 
             const interval = intervals[i];
 
-            fs.writeSync(fo, interval.index + ',' + interval.startPPSIndex + ',' + interval.endPPSIndex + ',' + interval.timeInterval + ',' + interval.numberOfSamples + ',' + interval.sampleRate.toFixed(4) + ',' + interval.firstSampleGap.toFixed(2) + ',' + interval.lastSampleGap.toFixed(2) + '\n');
+            yield ioHandler.write(fo, interval.index + ',' + interval.startPPSIndex + ',' + interval.endPPSIndex + ',' + interval.timeInterval + ',' + interval.numberOfSamples + ',' + interval.sampleRate.toFixed(4) + ',' + interval.firstSampleGap.toFixed(2) + ',' + interval.lastSampleGap.toFixed(2) + '\n');
 
         }
 
-        fs.closeSync(fo);
+        yield ioHandler.close(fo);
 
     }
 
@@ -864,19 +962,19 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
     if (DEBUG) {
 
-        const fo = fs.openSync(path.join(outputPath, outputFilename.replace('.WAV', '_ALIGNED.CSV')), 'w');
+        const fo = yield ioHandler.open(path.join(outputPath, outputName + '_ALIGNED.CSV'), 'w');
 
-        fs.writeSync(fo, 'INDEX,PPS_START_INDEX,PPS_END_INDEX,INTERVAL,SAMPLES,SAMPLE_RATE,TIME_TO_FIRST_SAMPLE,TIME_FROM_LAST_SAMPLE\n');
+        yield ioHandler.write(fo, 'INDEX,PPS_START_INDEX,PPS_END_INDEX,INTERVAL,SAMPLES,SAMPLE_RATE,TIME_TO_FIRST_SAMPLE,TIME_FROM_LAST_SAMPLE\n');
 
         for (let i = 0; i < numberOfIntervals; i += 1) {
 
             const interval = intervals[i];
 
-            fs.writeSync(fo, interval.index + ',' + interval.startPPSIndex + ',' + interval.endPPSIndex + ',' + interval.timeInterval + ',' + interval.numberOfSamples + ',' + interval.sampleRate.toFixed(4) + ',' + interval.firstSampleGap.toFixed(2) + ',' + interval.lastSampleGap.toFixed(2) + '\n');
+            yield ioHandler.write(fo, interval.index + ',' + interval.startPPSIndex + ',' + interval.endPPSIndex + ',' + interval.timeInterval + ',' + interval.numberOfSamples + ',' + interval.sampleRate.toFixed(4) + ',' + interval.firstSampleGap.toFixed(2) + ',' + interval.lastSampleGap.toFixed(2) + '\n');
 
         }
 
-        fs.closeSync(fo);
+        yield ioHandler.close(fo);
 
     }
 
@@ -930,6 +1028,7 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
         return {
             success: false,
+            code: 'E_CSV_SAMPLE_COUNT_UNUSUAL',
             error: 'Input CSV file has an unusual sample count between PPS events.'
         };
 
@@ -937,11 +1036,11 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
     if (bufferOverflow || missedPPSEvent || misalignedPPSEvent || unusualSampleRate) {
 
-        const fo = fs.openSync(path.join(outputPath, outputFilename.replace('.WAV', '.TXT')), 'w');
+        const fo = yield ioHandler.open(path.join(outputPath, outputName + '.TXT'), 'w');
 
-        fs.writeSync(fo, autoResolveText);
+        yield ioHandler.write(fo, autoResolveText);
 
-        fs.closeSync(fo);
+        yield ioHandler.close(fo);
 
     }
 
@@ -999,24 +1098,11 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
     }
 
-    /* Check the maximum file size */
-
-    const calculatedFileSize = header.size + numberOfSamplesToWrite * NUMBER_OF_BYTES_IN_SAMPLE;
-
-    if (calculatedFileSize > UINT32_MAX) {
-
-        return {
-            success: false,
-            error: 'Generated WAV file would exceed maximum WAV file size.'
-        };
-
-    }
-
     /* Read the GUANO if present */
 
     let guano;
 
-    if (header.data.size + header.size < fileSize) {
+    if (header.data.size + header.size < fileSize || header.guano) {
 
         const numberOfBytes = Math.min(fileSize - header.size - header.data.size, HEADER_BUFFER_SIZE);
 
@@ -1024,17 +1110,17 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
             /* Read end of file into the buffer */
 
-            const numberOfBytesRead = fs.readSync(fi, headerBuffer, 0, numberOfBytes, header.data.size + header.size);
+            const numberOfBytesRead = yield ioHandler.read(fi, headerBuffer, 0, numberOfBytes, header.data.size + header.size);
 
             if (numberOfBytesRead === numberOfBytes) {
 
-                /* Parse the GUANO header */
+                /* Find the GUANO among the chunks which follow the data */
 
-                const guanoCheck = guanoHandler.readGuano(headerBuffer, numberOfBytes);
+                const trailer = wavHandler.readTrailer(header, headerBuffer, numberOfBytes);
 
-                if (guanoCheck.success) {
+                if (trailer.guano) {
 
-                    guano = guanoCheck.guano;
+                    guano = trailer.guano;
 
                 }
 
@@ -1074,17 +1160,17 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
     /* Open the output file and write the header */
 
-    const fo = fs.openSync(path.join(outputPath, outputFilename), 'w');
+    const fo = yield ioHandler.open(path.join(outputPath, outputFilename), 'w');
 
-    fs.writeSync(fo, headerBuffer, 0, header.size, null);
+    yield ioHandler.write(fo, headerBuffer, 0, wavHandler.getHeaderSize(header), null);
 
     /* Reset the input file to end of header */
 
-    fs.readSync(fi, headerBuffer, 0, header.size, null);
+    yield ioHandler.read(fi, headerBuffer, 0, header.size, null);
 
     /* Read the first file buffer */
 
-    fs.readSync(fi, syncInputBuffer, 0, FILE_BUFFER_SIZE, null);
+    yield ioHandler.read(fi, syncInputBuffer, 0, FILE_BUFFER_SIZE, null);
 
     /* Set up the counters */
 
@@ -1098,7 +1184,7 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
     let numberOfSamplesWritten = 0;
 
-    /* Function to read sample values */
+    /* Functions to read sample value and refill the input buffer when it is empty */
 
     function readSampleValue () {
 
@@ -1108,19 +1194,19 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
         inputBufferIndex += 1;
 
-        if (inputBufferIndex === FILE_BUFFER_SIZE / NUMBER_OF_BYTES_IN_SAMPLE) {
+        return sampleValue;
 
-            fs.readSync(fi, syncInputBuffer, 0, FILE_BUFFER_SIZE, null);
+    }
 
-            inputBufferIndex = 0;
+    function * refillInputBuffer () {
 
-        }
+        yield ioHandler.read(fi, syncInputBuffer, 0, FILE_BUFFER_SIZE, null);
 
-        return sampleValue;
+        inputBufferIndex = 0;
 
     }
 
-    /* Function to write sample value */
+    /* Functions to write sample value and flush the output buffer when it is full */
 
     function writeSampleValue (value) {
 
@@ -1130,13 +1216,13 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
         outputBufferIndex += 1;
 
-        if (outputBufferIndex === FILE_BUFFER_SIZE / NUMBER_OF_BYTES_IN_SAMPLE) {
+    }
 
-            fs.writeSync(fo, syncOutputBuffer, 0, FILE_BUFFER_SIZE, null);
+    function * flushOutputBuffer () {
 
-            outputBufferIndex = 0;
+        yield ioHandler.write(fo, syncOutputBuffer, 0, FILE_BUFFER_SIZE, null);
 
-        }
+        outputBufferIndex = 0;
 
     }
 
@@ -1144,11 +1230,19 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
     let nextSampleValue = readSampleValue();
 
+    if (inputBufferIndex === NUMBER_OF_SAMPLES_IN_FILE_BUFFER) yield * refillInputBuffer();
+
     let previousSampleValue = nextSampleValue;
 
     totalNumberOfSamples = firstSampleIsBeforeFirstInterval ? 1 : 0;
 
-    if (firstSampleIsBeforeFirstInterval) nextSampleValue = readSampleValue();
+    if (firstSampleIsBeforeFirstInterval) {
+
+        nextSampleValue = readSampleValue();
+
+        if (inputBufferIndex === NUMBER_OF_SAMPLES_IN_FILE_BUFFER) yield * refillInputBuffer();
+
+    }
 
     /* Iterate through intervals */
 
@@ -1184,6 +1278,8 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
                     nextSampleValue = readSampleValue();
 
+                    if (inputBufferIndex === NUMBER_OF_SAMPLES_IN_FILE_BUFFER) yield * refillInputBuffer();
+
                 }
 
                 /* Update the next sample offset */
@@ -1200,6 +1296,8 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
             writeSampleValue(interpolatedSampleValue);
 
+            if (outputBufferIndex === NUMBER_OF_SAMPLES_IN_FILE_BUFFER) yield * flushOutputBuffer();
+
         }
 
         /* Read on to next sample */
@@ -1210,6 +1308,8 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
             nextSampleValue = readSampleValue();
 
+            if (inputBufferIndex === NUMBER_OF_SAMPLES_IN_FILE_BUFFER) yield * refillInputBuffer();
+
         }
 
         /* Callback with progress */
@@ -1230,7 +1330,7 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
     if (outputBufferIndex > 0) {
 
-        fs.writeSync(fo, syncOutputBuffer, 0, outputBufferIndex * NUMBER_OF_BYTES_IN_SAMPLE, null);
+        yield ioHandler.write(fo, syncOutputBuffer, 0, outputBufferIndex * NUMBER_OF_BYTES_IN_SAMPLE, null);
 
     }
 
@@ -1240,7 +1340,7 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
         guanoHandler.writeGuano(syncOutputBuffer, guano);
 
-        fs.writeSync(fo, syncOutputBuffer, 0, guano.size, null);
+        yield ioHandler.write(fo, syncOutputBuffer, 0, guano.size, null);
 
     }
 
@@ -1250,9 +1350,9 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
     /* Close both files */
 
-    fs.closeSync(fi);
+    yield ioHandler.close(fi);
 
-    fs.closeSync(fo);
+    yield ioHandler.close(fo);
 
     /* Return success */
 
@@ -1263,6 +1363,21 @@ function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callbac
 
 }
 
+/* Run sync synchronously or asynchronously. The options may include an AbortSignal to cancel the operation */
+
+function sync (inputPath, outputPath, prefix, resampleRate, autoResolve, callback, options) {
+
+    return ioHandler.runSync(syncOperation(inputPath, outputPath, prefix, resampleRate, autoResolve, callback, options || {}), options && options.signal);
+
+}
+
+function syncAsync (inputPath, outputPath, prefix, resampleRate, autoResolve, callback, options) {
+
+    return ioHandler.runAsync(syncOperation(inputPath, outputPath, prefix, resampleRate, autoResolve, callback, options || {}), options && options.signal);
+
+}
+
 /* Exports */
 
 exports.sync = sync;
+exports.syncAsync = syncAsync;
@@ -6,18 +6,50 @@
 
 'use strict';
 
+const guanoHandler = require('./guanoHandler.js');
+
 /* RIFF constants */
 
 const UINT16_LENGTH = 2;
 const UINT32_LENGTH = 4;
 const RIFF_ID_LENGTH = 4;
+const UINT64_LENGTH = 8;
+
+const UINT32_MAXIMUM = 0xFFFFFFFF;
+const UINT32_RANGE = 0x100000000;
+
+/* RF64 constants */
+
+const DS64_CHUNK_SIZE = 28;
+const DS64_TABLE_ENTRY_LENGTH = 12;
 
 /* WAV format constants */
 
 const PCM_FORMAT = 1;
-const NUMBER_OF_CHANNELS = 1;
-const NUMBER_OF_BITS_IN_SAMPLE = 16;
-const NUMBER_OF_BYTES_IN_SAMPLE = 2;
+const IEEE_FLOAT_FORMAT = 3;
+const EXTENSIBLE_FORMAT = 0xFFFE;
+
+const FMT_CHUNK_SIZE = 16;
+const EXTENSIBLE_SUBFORMAT_OFFSET = 8;
+
+const BITS_IN_BYTE = 8;
+const VALID_PCM_BITS_PER_SAMPLE = [8, 16, 24, 32];
+const VALID_IEEE_FLOAT_BITS_PER_SAMPLE = [32];
+
+/* AudioMoth format constants */
+
+const AUDIOMOTH_NUMBER_OF_CHANNELS = 1;
+const AUDIOMOTH_NUMBER_OF_BITS_IN_SAMPLE = 16;
+
+/* RIFF chunk IDs are four printable ASCII characters */
+
+const FIRST_PRINTABLE_CHARACTER = 0x20;
+const LAST_PRINTABLE_CHARACTER = 0x7E;
+
+/* Sample constants */
+
+const UINT8_OFFSET = 128;
+const INT24_LENGTH = 3;
 
 /* WAV header component read functions */
 
@@ -51,6 +83,26 @@ function readUInt16LE (state) {
 
 }
 
+function readUInt64LE (state) {
+
+    if (state.buffer.length - state.index < UINT64_LENGTH) throw new Error('RIFF component exceeded buffer length.');
+
+    const result = state.buffer.readUInt32LE(state.index) + state.buffer.readUInt32LE(state.index + UINT32_LENGTH) * UINT32_RANGE;
+    state.index += UINT64_LENGTH;
+    return result;
+
+}
+
+function readBytes (state, length) {
+
+    if (state.buffer.length - state.index < length) throw new Error('RIFF component exceeded buffer length.');
+
+    const result = Buffer.from(state.buffer.slice(state.index, state.index + length));
+    state.index += length;
+    return result;
+
+}
+
 function readID (state, id) {
 
     const result = readString(state, id.length);
@@ -100,6 +152,21 @@ function writeUInt16LE (state, value) {
 
 }
 
+function writeUInt64LE (state, value) {
+
+    state.buffer.writeUInt32LE(value % UINT32_RANGE, state.index);
+    state.buffer.writeUInt32LE(Math.floor(value / UINT32_RANGE), state.index + UINT32_LENGTH);
+    state.index += UINT64_LENGTH;
+
+}
+
+function writeBytes (state, bytes) {
+
+    bytes.copy(state.buffer, state.index);
+    state.index += bytes.length;
+
+}
+
 function writeChunk (state, chunk) {
 
     writeString(state, chunk.id, RIFF_ID_LENGTH, false);
@@ -107,9 +174,275 @@ function writeChunk (state, chunk) {
 
 }
 
-/* WAV header read and write functions */
+/* WAV format functions */
+
+function getSampleFormat (wavFormat) {
+
+    if (wavFormat.format === EXTENSIBLE_FORMAT && wavFormat.extension && wavFormat.extension.length >= EXTENSIBLE_SUBFORMAT_OFFSET + UINT16_LENGTH) return wavFormat.extension.readUInt16LE(EXTENSIBLE_SUBFORMAT_OFFSET);
+
+    return wavFormat.format;
+
+}
+
+function checkFormat (wavFormat) {
+
+    const sampleFormat = getSampleFormat(wavFormat);
+
+    let validBitsPerSample = [];
+
+    if (sampleFormat === PCM_FORMAT) validBitsPerSample = VALID_PCM_BITS_PER_SAMPLE;
+
+    if (sampleFormat === IEEE_FLOAT_FORMAT) validBitsPerSample = VALID_IEEE_FLOAT_BITS_PER_SAMPLE;
+
+    if (validBitsPerSample.includes(wavFormat.bitsPerSample) === false || wavFormat.numberOfChannels === 0) return false;
+
+    const bytesPerCapture = wavFormat.numberOfChannels * wavFormat.bitsPerSample / BITS_IN_BYTE;
+
+    return wavFormat.bytesPerCapture === bytesPerCapture && wavFormat.bytesPerSecond === bytesPerCapture * wavFormat.samplesPerSecond;
+
+}
+
+function checkAudioMothFormat (header) {
+
+    if (getSampleFormat(header.wavFormat) !== PCM_FORMAT || header.wavFormat.numberOfChannels !== AUDIOMOTH_NUMBER_OF_CHANNELS || header.wavFormat.bitsPerSample !== AUDIOMOTH_NUMBER_OF_BITS_IN_SAMPLE) {
+
+        return {
+            success: false,
+            code: 'E_WAVE_FORMAT_UNSUPPORTED',
+            error: 'Only 16-bit mono PCM WAV files are supported.'
+        };
+
+    }
+
+    return {
+        success: true,
+        error: null
+    };
+
+}
+
+/* Little-endian sample read and write functions for each sample format */
+
+function readUInt8Sample (buffer, index) {
+
+    return buffer[index] - UINT8_OFFSET;
+
+}
+
+function writeUInt8Sample (buffer, index, value) {
+
+    buffer[index] = value + UINT8_OFFSET;
+
+}
+
+function readInt16Sample (buffer, index) {
+
+    let value = buffer[index] + (buffer[index + 1] << 8);
+
+    if (value > 0x7FFF) value -= 0x10000;
+
+    return value;
+
+}
+
+function writeInt16Sample (buffer, index, value) {
+
+    buffer[index] = value & 0xFF;
+
+    buffer[index + 1] = (value >> 8) & 0xFF;
+
+}
+
+function readInt24Sample (buffer, index) {
+
+    return buffer.readIntLE(index, INT24_LENGTH);
+
+}
+
+function writeInt24Sample (buffer, index, value) {
+
+    buffer.writeIntLE(value, index, INT24_LENGTH);
+
+}
+
+function readInt32Sample (buffer, index) {
+
+    return buffer.readInt32LE(index);
+
+}
+
+function writeInt32Sample (buffer, index, value) {
+
+    buffer.writeInt32LE(value, index);
+
+}
+
+function readFloatSample (buffer, index) {
 
-function readHeader (buffer, fileSize) {
+    return buffer.readFloatLE(index);
+
+}
+
+function writeFloatSample (buffer, index, value) {
+
+    buffer.writeFloatLE(value, index);
+
+}
+
+/* Return the functions and limits needed to process the samples of a given WAV format */
+
+function getSampleCodec (wavFormat) {
+
+    const bytesPerSample = wavFormat.bitsPerSample / BITS_IN_BYTE;
+
+    if (getSampleFormat(wavFormat) === IEEE_FLOAT_FORMAT) {
+
+        return {
+            bytesPerSample: bytesPerSample,
+            integer: false,
+            minimum: -Infinity,
+            maximum: Infinity,
+            read: readFloatSample,
+            write: writeFloatSample
+        };
+
+    }
+
+    const readers = {8: readUInt8Sample, 16: readInt16Sample, 24: readInt24Sample, 32: readInt32Sample};
+
+    const writers = {8: writeUInt8Sample, 16: writeInt16Sample, 24: writeInt24Sample, 32: writeInt32Sample};
+
+    return {
+        bytesPerSample: bytesPerSample,
+        integer: true,
+        minimum: -Math.pow(2, wavFormat.bitsPerSample - 1),
+        maximum: Math.pow(2, wavFormat.bitsPerSample - 1) - 1,
+        read: readers[wavFormat.bitsPerSample],
+        write: writers[wavFormat.bitsPerSample]
+    };
+
+}
+
+/* RIFF chunk walking functions */
+
+function readAnyChunk (state) {
+
+    return {
+        id: readString(state, RIFF_ID_LENGTH),
+        size: readUInt32LE(state)
+    };
+
+}
+
+function skipPadByte (state, size) {
+
+    if (size % 2 === 1) state.index += 1;
+
+}
+
+function readFormat (state, header) {
+
+    if (header.fmt.size < FMT_CHUNK_SIZE) throw new Error('FMT chunk is too small.');
+
+    header.wavFormat = {};
+    header.wavFormat.format = readUInt16LE(state);
+    header.wavFormat.numberOfChannels = readUInt16LE(state);
+    header.wavFormat.samplesPerSecond = readUInt32LE(state);
+    header.wavFormat.bytesPerSecond = readUInt32LE(state);
+    header.wavFormat.bytesPerCapture = readUInt16LE(state);
+    header.wavFormat.bitsPerSample = readUInt16LE(state);
+
+    /* Read any extension of the FMT chunk, such as that used by WAVE_FORMAT_EXTENSIBLE */
+
+    if (header.fmt.size > FMT_CHUNK_SIZE) header.wavFormat.extension = readBytes(state, header.fmt.size - FMT_CHUNK_SIZE);
+
+}
+
+function readInfo (state, header) {
+
+    const end = state.index + header.list.size;
+
+    header.info = readID(state, 'INFO');
+
+    header.list.chunks = [];
+
+    while (state.index < end) {
+
+        const chunk = readAnyChunk(state);
+
+        if (chunk.id === 'ICMT') {
+
+            chunk.comment = readString(state, chunk.size);
+
+            header.icmt = chunk;
+
+        } else if (chunk.id === 'IART') {
+
+            chunk.artist = readString(state, chunk.size);
+
+            header.iart = chunk;
+
+        } else {
+
+            chunk.contents = readBytes(state, chunk.size);
+
+        }
+
+        header.list.chunks.push(chunk);
+
+        skipPadByte(state, chunk.size);
+
+    }
+
+    return state.index === end;
+
+}
+
+function readGuanoChunk (state, header, chunk) {
+
+    const start = state.index - RIFF_ID_LENGTH - UINT32_LENGTH;
+
+    const guanoCheck = guanoHandler.readGuano(state.buffer.subarray(start), chunk.size + RIFF_ID_LENGTH + UINT32_LENGTH);
+
+    if (guanoCheck.success === false) return false;
+
+    header.guano = guanoCheck.guano;
+
+    state.index += chunk.size;
+
+    return true;
+
+}
+
+function readDs64 (state, header) {
+
+    const chunk = readChunk(state, 'ds64');
+
+    if (chunk.size < DS64_CHUNK_SIZE) throw new Error('DS64 chunk is too small.');
+
+    header.riff.size = readUInt64LE(state);
+
+    header.ds64.dataSize = readUInt64LE(state);
+
+    header.ds64.sampleCount = readUInt64LE(state);
+
+    readUInt32LE(state);
+
+    header.ds64.table = readBytes(state, chunk.size - DS64_CHUNK_SIZE);
+
+    header.ds64.size = chunk.size;
+
+}
+
+function isInfoList (state) {
+
+    return state.buffer.length - state.index >= RIFF_ID_LENGTH && state.buffer.toString('utf8', state.index, state.index + RIFF_ID_LENGTH) === 'INFO';
+
+}
+
+/* WAV header read and write functions. The RIFF and DATA size checks can be skipped to read the header of a file which was truncated by a power loss */
+
+function readHeader (buffer, fileSize, ignoreSizes) {
 
     const header = {};
 
@@ -117,87 +450,127 @@ function readHeader (buffer, fileSize) {
 
     try {
 
-        /* Read RIFF chunk */
-
-        header.riff = readChunk(state, 'RIFF');
+        /* Read RIFF chunk, which is an RF64 chunk if the file is too large for 32-bit sizes */
 
-        if (header.riff.size + RIFF_ID_LENGTH + UINT32_LENGTH !== fileSize) {
+        header.riff = readAnyChunk(state);
 
-            return {
-                success: false,
-                error: 'RIFF chunk size does not match file size.'
-            };
+        if (header.riff.id !== 'RIFF' && header.riff.id !== 'RF64') throw new Error('Could not find RIFF chunk ID.');
 
-        }
+        header.rf64 = header.riff.id === 'RF64';
 
         /* Read WAVE ID */
 
         header.format = readID(state, 'WAVE');
 
-        /* Read FMT chunk */
+        /* Read the DS64 chunk which holds the 64-bit sizes of an RF64 file */
 
-        header.fmt = readChunk(state, 'fmt ');
+        header.ds64 = {id: 'ds64', size: DS64_CHUNK_SIZE, dataSize: 0, sampleCount: 0, table: Buffer.alloc(0)};
 
-        header.wavFormat = {};
-        header.wavFormat.format = readUInt16LE(state);
-        header.wavFormat.numberOfChannels = readUInt16LE(state);
-        header.wavFormat.samplesPerSecond = readUInt32LE(state);
-        header.wavFormat.bytesPerSecond = readUInt32LE(state);
-        header.wavFormat.bytesPerCapture = readUInt16LE(state);
-        header.wavFormat.bitsPerSample = readUInt16LE(state);
+        if (header.rf64) readDs64(state, header);
 
-        if (header.wavFormat.format !== PCM_FORMAT || header.wavFormat.numberOfChannels !== NUMBER_OF_CHANNELS || header.wavFormat.bytesPerSecond !== NUMBER_OF_BYTES_IN_SAMPLE * header.wavFormat.samplesPerSecond || header.wavFormat.bytesPerCapture !== NUMBER_OF_BYTES_IN_SAMPLE || header.wavFormat.bitsPerSample !== NUMBER_OF_BITS_IN_SAMPLE) {
+        if (ignoreSizes !== true && header.riff.size + RIFF_ID_LENGTH + UINT32_LENGTH !== fileSize) {
 
             return {
                 success: false,
-                error: 'Unexpected WAVE format.'
+                code: 'E_RIFF_SIZE_MISMATCH',
+                error: 'RIFF chunk size does not match file size.'
             };
 
         }
 
-        /* Read LIST chunk */
+        /* Walk the chunks before the DATA chunk in whatever order they appear. Unknown chunks are kept so they can be written back unchanged */
+
+        header.chunks = [];
+
+        header.fmt = null;
+
+        header.list = null;
 
-        header.list = readChunk(state, 'LIST');
+        header.guano = null;
 
-        /* Read INFO ID */
+        header.icmt = {id: 'ICMT', size: 0, comment: ''};
 
-        header.info = readID(state, 'INFO');
+        header.iart = {id: 'IART', size: 0, artist: ''};
 
-        /* Read ICMT chunk */
+        while (header.data === undefined) {
 
-        header.icmt = readChunk(state, 'ICMT');
+            if (state.index + RIFF_ID_LENGTH + UINT32_LENGTH > fileSize) throw new Error('Could not find data chunk ID.');
 
-        header.icmt.comment = readString(state, header.icmt.size);
+            const chunk = readAnyChunk(state);
 
-        /* Read IART chunk */
+            if (chunk.id === 'data') {
 
-        header.iart = readChunk(state, 'IART');
+                if (header.rf64) chunk.size = header.ds64.dataSize;
 
-        header.iart.artist = readString(state, header.iart.size);
+                header.data = chunk;
 
-        /* Check LIST chunk size */
+            } else if (chunk.id === 'fmt ' && header.fmt === null) {
 
-        if (header.list.size !== 3 * RIFF_ID_LENGTH + 2 * UINT32_LENGTH + header.iart.size + header.icmt.size) {
+                header.fmt = chunk;
+
+                readFormat(state, header);
+
+                header.chunks.push(chunk);
+
+            } else if (chunk.id === 'LIST' && header.list === null && isInfoList(state)) {
+
+                header.list = chunk;
+
+                if (readInfo(state, header) === false) {
+
+                    return {
+                        success: false,
+                        code: 'E_LIST_SIZE_MISMATCH',
+                        error: 'LIST chunk size does not match total size of INFO sub-chunks.'
+                    };
+
+                }
+
+                header.chunks.push(chunk);
+
+            } else if (chunk.id === 'guan' && header.guano === null && readGuanoChunk(state, header, chunk)) {
+
+                /* GUANO before the data is kept with the header and replaced by JUNK of the same size, so the GUANO can be written after the data as usual */
+
+                header.chunks.push({id: 'JUNK', size: chunk.size, contents: Buffer.alloc(chunk.size)});
+
+            } else {
+
+                chunk.contents = readBytes(state, chunk.size);
+
+                header.chunks.push(chunk);
+
+            }
+
+            if (header.data === undefined) skipPadByte(state, chunk.size);
+
+        }
+
+        /* Check the FMT chunk */
+
+        if (header.fmt === null) throw new Error('Could not find fmt chunk ID.');
+
+        if (checkFormat(header.wavFormat) === false) {
 
             return {
                 success: false,
-                error: 'LIST chunk size does not match total size of INFO, ICMT and IART chunks.'
+                code: 'E_WAVE_FORMAT_UNEXPECTED',
+                error: 'Unexpected WAVE format.'
             };
 
         }
 
-        /* Read DATA chunk */
-
-        header.data = readChunk(state, 'data');
-
         /* Set the header size and check DATA chunk size */
 
         header.size = state.index;
 
-        if (header.data.size + header.size > fileSize) {
+        header.baseSize = header.rf64 ? header.size - RIFF_ID_LENGTH - UINT32_LENGTH - header.ds64.size : header.size;
+
+        if (ignoreSizes !== true && header.data.size + header.size > fileSize) {
 
             return {
                 success: false,
+                code: 'E_DATA_SIZE_EXCEEDS_FILE',
                 error: 'DATA chunk size exceeds file size.'
             };
 
@@ -213,10 +586,11 @@ function readHeader (buffer, fileSize) {
 
     } catch (e) {
 
-        /* Header has exceed buffer length */
+        /* Header has exceed buffer length or is missing a required chunk */
 
         return {
             success: false,
+            code: 'E_HEADER_INVALID',
             error: e.message
         };
 
@@ -224,54 +598,282 @@ function readHeader (buffer, fileSize) {
 
 }
 
+function writeRawChunk (state, chunk) {
+
+    writeChunk(state, chunk);
+
+    writeBytes(state, chunk.contents);
+
+}
+
+function writePadByte (state, size) {
+
+    if (size % 2 === 1) {
+
+        state.buffer[state.index] = 0;
+
+        state.index += 1;
+
+    }
+
+}
+
 function writeHeader (buffer, header) {
 
     const state = {buffer: buffer, index: 0};
 
-    writeChunk(state, header.riff);
+    if (header.rf64) {
+
+        writeChunk(state, {id: 'RF64', size: UINT32_MAXIMUM});
+
+        writeString(state, header.format, RIFF_ID_LENGTH, false);
+
+        writeChunk(state, header.ds64);
+
+        writeUInt64LE(state, header.riff.size);
+        writeUInt64LE(state, header.data.size);
+        writeUInt64LE(state, header.ds64.sampleCount);
+        writeUInt32LE(state, header.ds64.table.length / DS64_TABLE_ENTRY_LENGTH);
+
+        writeBytes(state, header.ds64.table);
+
+    } else {
+
+        writeChunk(state, {id: 'RIFF', size: header.riff.size});
+
+        writeString(state, header.format, RIFF_ID_LENGTH, false);
+
+    }
+
+    for (let i = 0; i < header.chunks.length; i += 1) {
+
+        const chunk = header.chunks[i];
+
+        if (chunk === header.fmt) {
+
+            writeChunk(state, header.fmt);
+
+            writeUInt16LE(state, header.wavFormat.format);
+            writeUInt16LE(state, header.wavFormat.numberOfChannels);
+            writeUInt32LE(state, header.wavFormat.samplesPerSecond);
+            writeUInt32LE(state, header.wavFormat.bytesPerSecond);
+            writeUInt16LE(state, header.wavFormat.bytesPerCapture);
+            writeUInt16LE(state, header.wavFormat.bitsPerSample);
+
+            if (header.wavFormat.extension) writeBytes(state, header.wavFormat.extension);
+
+        } else if (chunk === header.list) {
+
+            writeChunk(state, header.list);
+
+            writeString(state, header.info, RIFF_ID_LENGTH, false);
+
+            for (let j = 0; j < header.list.chunks.length; j += 1) {
+
+                const infoChunk = header.list.chunks[j];
+
+                if (infoChunk === header.icmt) {
 
-    writeString(state, header.format, RIFF_ID_LENGTH, false);
+                    writeChunk(state, header.icmt);
+                    writeString(state, header.icmt.comment, header.icmt.size, true);
 
-    writeChunk(state, header.fmt);
+                } else if (infoChunk === header.iart) {
 
-    writeUInt16LE(state, header.wavFormat.format);
-    writeUInt16LE(state, header.wavFormat.numberOfChannels);
-    writeUInt32LE(state, header.wavFormat.samplesPerSecond);
-    writeUInt32LE(state, header.wavFormat.bytesPerSecond);
-    writeUInt16LE(state, header.wavFormat.bytesPerCapture);
-    writeUInt16LE(state, header.wavFormat.bitsPerSample);
+                    writeChunk(state, header.iart);
+                    writeString(state, header.iart.artist, header.iart.size, true);
 
-    writeChunk(state, header.list);
+                } else {
 
-    writeString(state, header.info, RIFF_ID_LENGTH, false);
+                    writeRawChunk(state, infoChunk);
 
-    writeChunk(state, header.icmt);
-    writeString(state, header.icmt.comment, header.icmt.size, true);
+                }
 
-    writeChunk(state, header.iart);
-    writeString(state, header.iart.artist, header.iart.size, true);
+                writePadByte(state, infoChunk.size);
 
-    writeChunk(state, header.data);
+            }
+
+        } else {
+
+            writeRawChunk(state, chunk);
+
+        }
+
+        writePadByte(state, chunk.size);
+
+    }
+
+    writeChunk(state, header.rf64 ? {id: 'data', size: UINT32_MAXIMUM} : header.data);
 
     return buffer;
 
 }
 
+/* Functions to find the chunks after the data when the DATA size was not written */
+
+function isChunkID (buffer, index) {
+
+    for (let i = index; i < index + RIFF_ID_LENGTH; i += 1) {
+
+        if (buffer[i] < FIRST_PRINTABLE_CHARACTER || buffer[i] > LAST_PRINTABLE_CHARACTER) return false;
+
+    }
+
+    return true;
+
+}
+
+function chunksRunToEnd (buffer, index, length) {
+
+    while (index + RIFF_ID_LENGTH + UINT32_LENGTH <= length && isChunkID(buffer, index)) {
+
+        const size = buffer.readUInt32LE(index + RIFF_ID_LENGTH);
+
+        index += RIFF_ID_LENGTH + UINT32_LENGTH + size;
+
+        if (index === length || index + size % 2 === length) return true;
+
+        index += size % 2;
+
+    }
+
+    return false;
+
+}
+
+/* Find the last GUANO chunk from which the chunks run exactly to the end of the buffer, and then the earliest chunk which leads to it */
+
+function findTrailingChunks (buffer, length) {
+
+    let index = buffer.lastIndexOf('guan', length - RIFF_ID_LENGTH - UINT32_LENGTH, 'latin1');
+
+    while (index >= 0 && chunksRunToEnd(buffer, index, length) === false) {
+
+        index = index > 0 ? buffer.lastIndexOf('guan', index - 1, 'latin1') : -1;
+
+    }
+
+    if (index < 0) return index;
+
+    for (let i = index % 2; i < index; i += 2) {
+
+        if (chunksRunToEnd(buffer, i, length)) return i;
+
+    }
+
+    return index;
+
+}
+
+/* Chunks after the DATA chunk read and write functions */
+
+function readTrailer (header, buffer, length) {
+
+    const trailer = {
+        guano: null,
+        chunks: []
+    };
+
+    const state = {buffer: buffer.subarray(0, length), index: 0};
+
+    skipPadByte(state, header.data.size);
+
+    try {
+
+        while (state.index + RIFF_ID_LENGTH + UINT32_LENGTH <= length) {
+
+            const chunk = readAnyChunk(state);
+
+            if (chunk.id === 'guan' && trailer.guano === null) {
+
+                const guanoCheck = guanoHandler.readGuano(buffer.subarray(state.index - RIFF_ID_LENGTH - UINT32_LENGTH, length), length - state.index + RIFF_ID_LENGTH + UINT32_LENGTH);
+
+                if (guanoCheck.success === false) break;
+
+                trailer.guano = guanoCheck.guano;
+
+                state.index += chunk.size;
+
+            } else {
+
+                chunk.contents = readBytes(state, chunk.size);
+
+                trailer.chunks.push(chunk);
+
+            }
+
+            skipPadByte(state, chunk.size);
+
+        }
+
+    } catch (e) {
+
+        /* Ignore any incomplete chunk at the end of the file */
+
+    }
+
+    if (trailer.guano === null) trailer.guano = header.guano;
+
+    return trailer;
+
+}
+
+function getTrailingChunksSize (dataSize, chunks) {
+
+    let size = dataSize % 2;
+
+    for (let i = 0; i < (chunks || []).length; i += 1) size += RIFF_ID_LENGTH + UINT32_LENGTH + chunks[i].size + chunks[i].size % 2;
+
+    return size;
+
+}
+
+function writeTrailingChunks (buffer, header, chunks) {
+
+    const state = {buffer: buffer, index: 0};
+
+    writePadByte(state, header.data.size);
+
+    for (let i = 0; i < (chunks || []).length; i += 1) {
+
+        writeRawChunk(state, chunks[i]);
+
+        writePadByte(state, chunks[i].size);
+
+    }
+
+    return state.index;
+
+}
+
 /* Functions to update header */
 
-function updateSizes (header, guano, dataSize) {
+/* Switch to RF64, adding a DS64 chunk to the header, if the sizes no longer fit in 32 bits */
+
+function updateSizes (header, guano, dataSize, chunks) {
+
+    const riffSize = header.baseSize + (guano ? guano.size : 0) + dataSize + getTrailingChunksSize(dataSize, chunks) - UINT32_LENGTH - RIFF_ID_LENGTH;
 
-    header.riff.size = header.size + (guano ? guano.size : 0) + dataSize - UINT32_LENGTH - RIFF_ID_LENGTH;
+    header.rf64 = riffSize > UINT32_MAXIMUM;
+
+    header.riff.size = header.rf64 ? riffSize + RIFF_ID_LENGTH + UINT32_LENGTH + header.ds64.size : riffSize;
 
     header.data.size = dataSize;
 
+    header.ds64.sampleCount = Math.floor(dataSize / header.wavFormat.bytesPerCapture);
+
+}
+
+function getHeaderSize (header) {
+
+    return header.rf64 ? header.baseSize + RIFF_ID_LENGTH + UINT32_LENGTH + header.ds64.size : header.baseSize;
+
 }
 
 function updateSampleRate (header, sampleRate) {
 
     header.wavFormat.samplesPerSecond = sampleRate;
 
-    header.wavFormat.bytesPerSecond = sampleRate * NUMBER_OF_BYTES_IN_SAMPLE;
+    header.wavFormat.bytesPerSecond = sampleRate * header.wavFormat.bytesPerCapture;
 
 }
 
@@ -281,6 +883,60 @@ function updateComment (header, comment) {
 
 }
 
+/* Size of a chunk including its pad byte */
+
+function getPaddedSize (size) {
+
+    return size + size % 2;
+
+}
+
+/* Replace the comment, growing the ICMT chunk and the LIST chunk which holds it, or adding them if the file has none, when the comment does not fit. The new ICMT size is a multiple of four bytes */
+
+function extendComment (header, comment) {
+
+    const size = Buffer.byteLength(comment, 'utf8') + 1;
+
+    if (size > header.icmt.size) {
+
+        const originalListSize = header.list ? RIFF_ID_LENGTH + UINT32_LENGTH + getPaddedSize(header.list.size) : 0;
+
+        if (header.list === null) {
+
+            header.list = {id: 'LIST', size: RIFF_ID_LENGTH, chunks: []};
+
+            header.info = 'INFO';
+
+            header.chunks.push(header.list);
+
+        }
+
+        if (header.list.chunks.indexOf(header.icmt) < 0) {
+
+            header.list.chunks.push(header.icmt);
+
+            header.list.size += RIFF_ID_LENGTH + UINT32_LENGTH;
+
+        }
+
+        const newSize = Math.ceil(size / UINT32_LENGTH) * UINT32_LENGTH;
+
+        header.list.size += newSize - getPaddedSize(header.icmt.size);
+
+        header.icmt.size = newSize;
+
+        const change = RIFF_ID_LENGTH + UINT32_LENGTH + getPaddedSize(header.list.size) - originalListSize;
+
+        header.size += change;
+
+        header.baseSize += change;
+
+    }
+
+    header.icmt.comment = comment;
+
+}
+
 function overwriteComment (header, comment) {
 
     const length = Math.min(comment.length, header.icmt.size - 1);
@@ -293,7 +949,14 @@ function overwriteComment (header, comment) {
 
 exports.writeHeader = writeHeader;
 exports.readHeader = readHeader;
+exports.getHeaderSize = getHeaderSize;
+exports.readTrailer = readTrailer;
+exports.findTrailingChunks = findTrailingChunks;
+exports.writeTrailingChunks = writeTrailingChunks;
 exports.updateSizes = updateSizes;
 exports.updateSampleRate = updateSampleRate;
 exports.updateComment = updateComment;
+exports.extendComment = extendComment;
 exports.overwriteComment = overwriteComment;
+exports.checkAudioMothFormat = checkAudioMothFormat;
+exports.getSampleCodec = getSampleCodec;